@@ -0,0 +1,13 @@
+// Parses import files off the page's main thread. The page posts { file, format } and receives
+// progress, batches of parsed items and a final summary from streamImportFile; it cancels by
+// terminating the worker. The parsers live in script.js, which skips its page setup here.
+importScripts('script.js');
+
+self.onmessage = async (event) => {
+    const { file, format } = event.data;
+    try {
+        await streamImportFile(file, format, message => self.postMessage(message));
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
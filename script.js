@@ -40,6 +40,15 @@ let papersFolderHandle = null;
 let papersFolderPath = '';
 let papersFolderUrl = ''; // Store the folder URL for opening files
 
+// BibTeX export: 'bibtex' or 'biblatex' fields, and whether non-ASCII characters are written
+// as UTF-8 (biber) instead of LaTeX commands
+let bibtexExportFormat = 'bibtex';
+let bibtexUnicodeOutput = false;
+
+// Pattern for new citation keys, e.g. "[auth:lower][year][shorttitle:3:lower]" (see formatCiteKey)
+const DEFAULT_CITE_KEY_PATTERN = '[auth:lower][year][shorttitle:3:lower]';
+let citeKeyPattern = DEFAULT_CITE_KEY_PATTERN;
+
 // IndexedDB for persistent PDF storage
 let pdfDB = null;
 const DB_NAME = 'research-paper-tracker';
@@ -153,6 +162,19 @@ function validateUrl(url) {
     }
 }
 
+// Best link for a paper: its DOI/URL field, falling back to PubMed or PubMed Central
+function getPaperUrl(paper) {
+    const directUrl = validateUrl(paper.doi);
+    if (directUrl) return directUrl;
+    if (paper.pmid) {
+        return validateUrl(`https://pubmed.ncbi.nlm.nih.gov/${encodeURIComponent(paper.pmid)}/`);
+    }
+    if (paper.pmcid) {
+        return validateUrl(`https://www.ncbi.nlm.nih.gov/pmc/articles/${encodeURIComponent(paper.pmcid)}/`);
+    }
+    return null;
+}
+
 // Summary function
 function showSummary() {
     const summaryContainer = document.getElementById('papersSummary');
@@ -168,37 +190,75 @@ function showSummary() {
     summaryContainer.className = 'papers-grid';
 
     // Generate summary cards
-    const summaryHTML = papers.map(paper => {
-        const keywords = paper.keywords ? paper.keywords.split(',').map(k => k.trim()).filter(k => k) : [];
-        const keywordTags = keywords.map(keyword =>
-            `<span class="keyword-tag">${escapeHtml(keyword)}</span>`
-        ).join('');
+    summaryContainer.innerHTML = papers.map(paper => buildPaperCardHTML(paper)).join('');
+
+    // Event delegation is now set up once in DOMContentLoaded
+    // No need to re-attach listeners here - they persist and handle dynamically created elements
+}
 
-        const stars = paper.rating ? '★'.repeat(Math.min(parseInt(paper.rating) || 0, 5)) : '';
-        const paperUrl = validateUrl(paper.doi);
+// Markup for one paper card. The app renders it collapsed with edit controls; the static site export
+// passes { site: { href, privateFields } } to get an expanded, read-only card linking to the paper's page
+function buildPaperCardHTML(paper, options = {}) {
+    const site = options.site || null;
+    const showField = field => !site || site.privateFields.includes(field);
+
+    const keywords = paper.keywords ? paper.keywords.split(',').map(k => k.trim()).filter(k => k) : [];
+    const keywordTags = keywords.map(keyword =>
+        `<span class="keyword-tag">${escapeHtml(keyword)}</span>`
+    ).join('');
+
+    const stars = showField('rating') && paper.rating ? '★'.repeat(Math.min(parseInt(paper.rating) || 0, 5)) : '';
+    const paperUrl = getPaperUrl(paper);
+    const status = escapeHtml((paper.status || 'to-read').replace('-', ' '));
+
+    // Filter data for the static site's search script
+    const siteData = site ? ` data-status="${escapeXml(paper.status || 'to-read')}" data-chapter="${escapeXml(paper.chapter || '')}"` +
+        ` data-keywords="${escapeXml(keywords.map(k => k.toLowerCase()).join('|'))}"` +
+        ` data-search="${escapeXml([paper.title, paper.authors, paper.year, paper.journal, paper.keywords, paper.abstract].join(' ').toLowerCase())}"` : '';
+
+    const title = site
+        ? `<a class="paper-title" href="${escapeXml(site.href)}">${escapeHtml(paper.title || 'Untitled Paper')}</a>`
+        : `<div class="paper-title" data-paper-url="${paperUrl ? escapeHtml(paperUrl) : ''}" title="${paperUrl ? 'Click to open paper' : 'No URL available'}">
+                            ${escapeHtml(paper.title || 'Untitled Paper')}
+                        </div>`;
 
+    const actions = site ? `
+                        <a class="paper-open-btn" href="${escapeXml(site.href)}">📄 Details</a>
+                        ${paperUrl ? `<a class="paper-open-btn" href="${escapeXml(paperUrl)}" target="_blank" rel="noopener noreferrer">🌐 Open Online</a>` : ''}
+    ` : `
+                        <button class="edit-card-btn" data-paper-id="${paper.id}" title="Edit this paper">✏️ Edit</button>
+                        <button class="delete-card-btn" data-paper-id="${paper.id}" title="Delete this paper">🗑️ Delete</button>
+                        ${paperUrl || paper.hasPDF ? `
+                            <div class="paper-open-dropdown">
+                                <button class="paper-open-btn" data-paper-id="${paper.id}" title="Open paper options">📖 Open Paper ▼</button>
+                                <div class="paper-open-menu" id="dropdown-${paper.id}">
+                                    ${paperUrl ? `<button class="paper-open-option" data-paper-id="${paper.id}" data-action="online">🌐 Open Online</button>` : ''}
+                                    ${paper.hasPDF ? `<button class="paper-open-option" data-paper-id="${paper.id}" data-action="pdf">📄 Open PDF</button>` : ''}
+                                </div>
+                            </div>
+                        ` : ''}
+                        <button class="copy-citation-card-btn" data-paper-id="${paper.id}" title="Copy citation to clipboard">📋 Copy Citation</button>
+    `;
 
-        return `
-            <div class="paper-card collapsed" data-paper-id="${paper.id}">
+    return `
+            <div class="paper-card${site ? '' : ' collapsed'}" data-paper-id="${paper.id}"${siteData}>
                 <div class="paper-status-compact">
-                    <span class="status-badge">${escapeHtml((paper.status || 'to-read').replace('-', ' '))}</span>
+                    <span class="status-badge">${status}</span>
                 </div>
 
                 <div class="paper-header">
                     <div class="paper-header-content">
-                        <div class="paper-title" data-paper-url="${paperUrl ? escapeHtml(paperUrl) : ''}" title="${paperUrl ? 'Click to open paper' : 'No URL available'}">
-                            ${escapeHtml(paper.title || 'Untitled Paper')}
-                        </div>
+                        ${title}
                         ${paper.authors ? `<div class="paper-authors">${escapeHtml(paper.authors)}</div>` : ''}
                     </div>
-                    <button class="collapse-toggle" data-paper-id="${paper.id}" title="Click to expand/collapse">▼</button>
+                    ${site ? '' : `<button class="collapse-toggle" data-paper-id="${paper.id}" title="Click to expand/collapse">▼</button>`}
                 </div>
 
                 <div class="collapsible-content">
                     <div class="paper-status-info">
-                        <span class="status-badge">${escapeHtml((paper.status || 'to-read').replace('-', ' '))}</span>
+                        <span class="status-badge">${status}</span>
                         <div>
-                            <span class="priority-badge">${escapeHtml(paper.priority || 'medium')}</span>
+                            ${showField('priority') ? `<span class="priority-badge">${escapeHtml(paper.priority || 'medium')}</span>` : ''}
                             ${stars ? `<span class="rating-stars">${escapeHtml(stars)}</span>` : ''}
                         </div>
                     </div>
@@ -215,34 +275,15 @@ function showSummary() {
                         <div class="key-points-content">${escapeHtml(paper.keyPoints)}</div>
                     </div>` : ''}
 
-                    ${paper.notes ? `<div class="paper-relevance">
+                    ${showField('notes') && paper.notes ? `<div class="paper-relevance">
                         <div class="relevance-header">Relevance & Notes:</div>
                         <div class="relevance-content">${escapeHtml(paper.notes)}</div>
                     </div>` : ''}
 
-                    <div class="paper-card-actions">
-                        <button class="edit-card-btn" data-paper-id="${paper.id}" title="Edit this paper">✏️ Edit</button>
-                        <button class="delete-card-btn" data-paper-id="${paper.id}" title="Delete this paper">🗑️ Delete</button>
-                        ${paperUrl || paper.hasPDF ? `
-                            <div class="paper-open-dropdown">
-                                <button class="paper-open-btn" data-paper-id="${paper.id}" title="Open paper options">📖 Open Paper ▼</button>
-                                <div class="paper-open-menu" id="dropdown-${paper.id}">
-                                    ${paperUrl ? `<button class="paper-open-option" data-paper-id="${paper.id}" data-action="online">🌐 Open Online</button>` : ''}
-                                    ${paper.hasPDF ? `<button class="paper-open-option" data-paper-id="${paper.id}" data-action="pdf">📄 Open PDF</button>` : ''}
-                                </div>
-                            </div>
-                        ` : ''}
-                        <button class="copy-citation-card-btn" data-paper-id="${paper.id}" title="Copy citation to clipboard">📋 Copy Citation</button>
-                    </div>
+                    <div class="paper-card-actions">${actions}</div>
                 </div>
             </div>
         `;
-    }).join('');
-
-    summaryContainer.innerHTML = summaryHTML;
-
-    // Event delegation is now set up once in DOMContentLoaded
-    // No need to re-attach listeners here - they persist and handle dynamically created elements
 }
 
 // Paper management functions
@@ -274,6 +315,13 @@ function addRow() {
             language: "en", // Publication language
             citation: "", // Formatted citation
             pdf: "", // PDF file path or link
+            pmid: "", // PubMed ID
+            pmcid: "", // PubMed Central ID
+            citationCount: "", // Times cited, as reported by the source database
+            citeKey: "", // Citation key, assigned once the paper has a title
+            citeKeyPinned: false, // Key was set by hand and is kept when keys are regenerated
+            readBy: "", // Planned read-by date (YYYY-MM-DD)
+            readingBlocks: "", // Planned reading sessions, one "YYYY-MM-DD HH:MM minutes #id" per line
             // Legacy fields for backward compatibility
             url: "",
             pdfPath: "",
@@ -420,6 +468,10 @@ function updatePaper(id, field, value) {
                     return ['to-read', 'reading', 'read', 'skimmed'].includes(fieldValue) ? fieldValue : 'to-read';
                 case 'priority':
                     return ['low', 'medium', 'high'].includes(fieldValue) ? fieldValue : 'medium';
+                case 'readBy':
+                    return normalizeReadByDate(fieldValue);
+                case 'readingBlocks':
+                    return normalizeReadingBlocks(fieldValue);
                 case 'doi':
                     // Basic URL/DOI validation
                     if (!fieldValue) return '';
@@ -442,6 +494,9 @@ function updatePaper(id, field, value) {
         
         const sanitizedValue = validateField(field, value);
         paper[field] = sanitizedValue;
+
+        // A new row, or a paper whose key was cleared, gets its key once it has a title
+        if (field === 'title') assignMissingCiteKeys([paper]);
         
         // Auto-format citation when key fields are updated
         if (['title', 'authors', 'year', 'journal', 'volume', 'issue', 'pages', 'doi'].includes(field)) {
@@ -1000,6 +1055,9 @@ function saveSettings() {
     try {
         const settings = {
             papersFolderPath: papersFolderPath,
+            bibtexExportFormat: bibtexExportFormat,
+            bibtexUnicodeOutput: bibtexUnicodeOutput,
+            citeKeyPattern: citeKeyPattern,
             lastModified: new Date().toISOString()
         };
         localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
@@ -1014,6 +1072,11 @@ async function loadSettings() {
         if (stored) {
             const settings = JSON.parse(stored);
             papersFolderPath = settings.papersFolderPath || '';
+            bibtexExportFormat = settings.bibtexExportFormat === 'biblatex' ? 'biblatex' : 'bibtex';
+            bibtexUnicodeOutput = settings.bibtexUnicodeOutput === true;
+            if (typeof settings.citeKeyPattern === 'string' && settings.citeKeyPattern.trim()) {
+                citeKeyPattern = settings.citeKeyPattern.trim().substring(0, 200);
+            }
             
             // Note: We can't restore the folder handle across sessions
             // User will need to reselect the folder
@@ -1313,7 +1376,7 @@ function updateSummaryCardPDF(card, paperId) {
     }
 
     // Always recreate the dropdown if there's a URL or PDF
-    const paperUrl = validateUrl(paper.doi);
+    const paperUrl = getPaperUrl(paper);
     if (paperUrl || paper.hasPDF) {
         const dropdownHTML = `
             <div class="paper-open-dropdown">
@@ -1368,13 +1431,7 @@ function copyCitationFromCard(id) {
 
 function updateStats() {
     // Single pass through papers array for efficiency
-    const stats = papers.reduce((acc, paper) => {
-        acc.total++;
-        if (paper.status === 'read') acc.read++;
-        else if (paper.status === 'reading') acc.reading++;
-        else if (paper.status === 'to-read') acc.toRead++;
-        return acc;
-    }, { total: 0, read: 0, reading: 0, toRead: 0 });
+    const stats = computePaperStats(papers);
 
     document.getElementById('totalCount').textContent = stats.total;
     document.getElementById('readCount').textContent = stats.read;
@@ -1512,6 +1569,38 @@ async function removePDFFromIndexedDB(paperId) {
     }
 }
 
+// Read every stored PDF record from IndexedDB
+async function getAllPDFsFromIndexedDB() {
+    if (!pdfDB) {
+        await initIndexedDB();
+    }
+
+    const transaction = pdfDB.transaction([PDF_STORE], 'readonly');
+    const store = transaction.objectStore(PDF_STORE);
+
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Remove every stored PDF from IndexedDB
+async function clearPDFsFromIndexedDB() {
+    if (!pdfDB) {
+        await initIndexedDB();
+    }
+
+    const transaction = pdfDB.transaction([PDF_STORE], 'readwrite');
+    const store = transaction.objectStore(PDF_STORE);
+
+    await new Promise((resolve, reject) => {
+        const request = store.clear();
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // Helper function to try restoring PDF from file path
 async function tryRestorePDFFromPath(paper) {
     try {
@@ -1553,8 +1642,255 @@ async function tryRestorePDFFromPath(paper) {
     return false;
 }
 
+// Trigger a browser download for generated export content
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// CRC-32 lookup table for ZIP archives, built on first use
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Build an uncompressed ZIP archive. files: [{ name, content }] where content is a string, Uint8Array or Blob.
+// Entries are stored (no compression), which every unzip tool, Office and LibreOffice accept.
+async function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    for (const file of files) {
+        let data = file.content;
+        if (typeof data === 'string') {
+            data = encoder.encode(data);
+        } else if (data instanceof Blob) {
+            data = new Uint8Array(await data.arrayBuffer());
+        }
+        const name = encoder.encode(file.name);
+        const crc = crc32(data);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed
+        header.setUint16(6, 0x0800, true); // UTF-8 file names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true); // Central directory signature
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true); // Offset of the local header
+
+        parts.push(header.buffer, name, data);
+        centralDirectory.push(entry.buffer, name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+}
+
+// Read the entries of a ZIP archive into a Map of name -> Uint8Array.
+// Handles stored entries (what createZipBlob writes) and deflated ones where the browser can inflate them
+async function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a ZIP archive');
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(position, true) !== 0x02014B50) throw new Error('Corrupted ZIP directory');
+        const method = view.getUint16(position + 10, true);
+        const compressedSize = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8 && typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            entries.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        } else {
+            throw new Error(`Unsupported compression in ${name}`);
+        }
+    }
+    return entries;
+}
+
+// Split a stored author string into individual names.
+// Handles BibTeX-style "A and B", semicolon lists and the tracker's comma-separated format.
+function splitAuthorList(authors) {
+    if (!authors) return [];
+    const text = String(authors).trim();
+    let parts;
+    if (/\s+and\s+/i.test(text)) {
+        parts = text.split(/\s+and\s+/i);
+    } else if (text.includes(';')) {
+        parts = text.split(';');
+    } else {
+        parts = text.split(',');
+    }
+    return parts.map(name => name.trim()).filter(name => name);
+}
+
+// "First Middle Last" -> "Last, First Middle" (names already containing a comma are kept)
+function toLastFirstName(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed || trimmed.includes(',')) return trimmed;
+    const parts = trimmed.split(/\s+/);
+    if (parts.length === 1) return trimmed;
+    const last = parts.pop();
+    return `${last}, ${parts.join(' ')}`;
+}
+
+// Split a single author name into given/family parts ("Smith, John" or "John Smith")
+function splitPersonName(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) return { given: '', family: '' };
+    const commaIndex = trimmed.indexOf(',');
+    if (commaIndex !== -1) {
+        return {
+            given: trimmed.substring(commaIndex + 1).trim(),
+            family: trimmed.substring(0, commaIndex).trim()
+        };
+    }
+    const parts = trimmed.split(/\s+/);
+    const family = parts.pop();
+    return { given: parts.join(' '), family };
+}
+
+// "Last, First Middle" -> "First Middle Last"
+function toFirstLastName(name) {
+    const trimmed = (name || '').trim();
+    const commaIndex = trimmed.indexOf(',');
+    if (commaIndex === -1) return trimmed;
+    const last = trimmed.substring(0, commaIndex).trim();
+    const first = trimmed.substring(commaIndex + 1).trim();
+    return first ? `${first} ${last}` : last;
+}
+
+// Build a complete paper object (same shape as storage.load()) from parsed import data
+function createImportedPaper(data) {
+    const yearMatch = String(data.year || '').match(/\d{4}/);
+    const doi = String(data.doi || data.url || '');
+    const citeKey = importedCiteKey(data.citeKey);
+
+    return {
+        id: nextId++,
+        itemType: ['article', 'inproceedings', 'book', 'techreport', 'phdthesis', 'misc'].includes(data.itemType) ? data.itemType : 'article',
+        title: String(data.title || '').substring(0, 500),
+        authors: String(data.authors || '').substring(0, 500),
+        year: yearMatch ? yearMatch[0] : '',
+        keywords: String(data.keywords || '').substring(0, 500),
+        journal: String(data.journal || '').substring(0, 300),
+        volume: String(data.volume || '').substring(0, 50),
+        issue: String(data.issue || '').substring(0, 50),
+        pages: String(data.pages || '').substring(0, 100),
+        doi: doi.substring(0, 500),
+        issn: String(data.issn || '').substring(0, 50),
+        chapter: String(data.chapter || '').substring(0, 200),
+        abstract: String(data.abstract || '').substring(0, 2000),
+        relevance: String(data.relevance || '').substring(0, 1000),
+        status: ['to-read', 'reading', 'read', 'skimmed'].includes(data.status) ? data.status : 'to-read',
+        priority: ['low', 'medium', 'high'].includes(data.priority) ? data.priority : 'medium',
+        rating: ['1', '2', '3', '4', '5'].includes(String(data.rating || '')) ? String(data.rating) : '',
+        dateAdded: data.dateAdded || new Date().toISOString().split('T')[0],
+        keyPoints: String(data.keyPoints || '').substring(0, 2000),
+        notes: String(data.notes || '').substring(0, 1000),
+        language: String(data.language || 'en').substring(0, 10),
+        citation: String(data.citation || '').substring(0, 1000),
+        pdf: String(data.pdf || '').substring(0, 500),
+        pmid: String(data.pmid || '').replace(/\D/g, '').substring(0, 20),
+        pmcid: String(data.pmcid || '').substring(0, 20),
+        citationCount: /^\d+$/.test(String(data.citationCount || '')) ? String(data.citationCount) : '',
+        citeKey,
+        // Only a key the source marks as pinned (the tracker's own JSON) stays pinned; keys from
+        // BibTeX or CSL ids are often generated by the exporting tool and may be regenerated here
+        citeKeyPinned: Boolean(citeKey) && data.citeKeyPinned === true,
+        readBy: normalizeReadByDate(data.readBy),
+        readingBlocks: normalizeReadingBlocks(data.readingBlocks),
+        url: String(data.url || doi).substring(0, 500),
+        pdfPath: '',
+        pdfFilename: '',
+        hasPDF: false,
+        pdfSource: 'none',
+        pdfBlobUrl: null,
+        pdfHandle: null
+    };
+}
+
 function exportToCSV() {
-    const headers = ['Item Type', 'Title', 'Authors', 'Year', 'Keywords', 'Journal/Venue', 'Volume', 'Issue', 'Pages', 'DOI/URL', 'ISSN', 'Chapter/Topic', 'Abstract', 'Relevance', 'Status', 'Priority', 'Rating', 'Date Added', 'Key Points', 'Notes', 'Language', 'Citation', 'PDF'];
+    const headers = ['Item Type', 'Title', 'Authors', 'Year', 'Keywords', 'Journal/Venue', 'Volume', 'Issue', 'Pages', 'DOI/URL', 'ISSN', 'Chapter/Topic', 'Abstract', 'Relevance', 'Status', 'Priority', 'Rating', 'Date Added', 'Key Points', 'Notes', 'Language', 'Citation', 'PDF', 'PMID', 'PMCID', 'Times Cited'];
     
     const csvContent = [
         headers.join(','),
@@ -1581,7 +1917,10 @@ function exportToCSV() {
             `"${(paper.notes || '').replace(/"/g, '""')}"`,
             paper.language || 'en',
             `"${(paper.citation || '').replace(/"/g, '""')}"`,
-            `"${(paper.pdf || '').replace(/"/g, '""')}"`
+            `"${(paper.pdf || '').replace(/"/g, '""')}"`,
+            paper.pmid || '',
+            paper.pmcid || '',
+            paper.citationCount || ''
         ].join(','))
     ].join('\n');
 
@@ -1630,6 +1969,13 @@ function exportToJSON() {
             language: paper.language || 'en', // Publication language
             citation: paper.citation || '', // Formatted citation
             pdf: paper.pdf || '', // PDF file path or link
+            pmid: paper.pmid || '', // PubMed ID
+            pmcid: paper.pmcid || '', // PubMed Central ID
+            citationCount: paper.citationCount || '', // Times cited
+            citeKey: paper.citeKey || '', // Citation key
+            citeKeyPinned: Boolean(paper.citeKeyPinned), // Key kept when keys are regenerated
+            readBy: paper.readBy || '', // Planned read-by date
+            readingBlocks: paper.readingBlocks || '', // Planned reading sessions
             // Legacy fields for backward compatibility
             url: paper.url || '',
             pdfPath: paper.pdfPath || '',
@@ -1650,446 +1996,5299 @@ function exportToJSON() {
     document.body.removeChild(link);
 }
 
-// Export to BibTeX format
-function exportToBibTeX() {
-    // Use array for efficient string building (O(n) instead of O(n²))
+// Tracker itemType -> BibTeX/BibLaTeX entry type, the field that holds the venue, and the required fields
+const BIBTEX_EXPORT_TYPES = {
+    article: { bibtex: 'article', biblatex: 'article', venue: { bibtex: 'journal', biblatex: 'journaltitle' }, required: ['author', 'title', 'venue', 'year'] },
+    inproceedings: { bibtex: 'inproceedings', biblatex: 'inproceedings', venue: { bibtex: 'booktitle', biblatex: 'booktitle' }, required: ['author', 'title', 'venue', 'year'] },
+    book: { bibtex: 'book', biblatex: 'book', venue: { bibtex: 'publisher', biblatex: 'publisher' }, required: ['author', 'title', 'venue', 'year'] },
+    techreport: { bibtex: 'techreport', biblatex: 'report', venue: { bibtex: 'institution', biblatex: 'institution' }, required: ['author', 'title', 'venue', 'year'], type: 'techreport' },
+    phdthesis: { bibtex: 'phdthesis', biblatex: 'thesis', venue: { bibtex: 'school', biblatex: 'institution' }, required: ['author', 'title', 'venue', 'year'], type: 'phdthesis' },
+    misc: { bibtex: 'misc', biblatex: 'misc', venue: { bibtex: 'howpublished', biblatex: 'howpublished' }, required: ['title'] }
+};
+
+// Build a .bib file for the given papers. format is 'bibtex' (classic BibTeX) or 'biblatex' (biber)
+function buildBibTeX(paperList, format = 'bibtex') {
+    const biblatex = format === 'biblatex';
     const lines = [
-        `% Research Paper Tracker - BibTeX Export`,
+        `% Research Paper Tracker - ${biblatex ? 'BibLaTeX' : 'BibTeX'} Export`,
         `% Generated on: ${new Date().toISOString().split('T')[0]}`,
-        `% Total papers: ${papers.length}`,
+        `% Total papers: ${paperList.length}`,
         ''
     ];
 
-    papers.forEach(paper => {
+    paperList.forEach(paper => {
         if (!paper.title) return; // Skip papers without titles
 
-        // Generate BibTeX key from title and year
-        const bibtexKey = generateBibTeXKey(paper);
+        const type = BIBTEX_EXPORT_TYPES[paper.itemType] || BIBTEX_EXPORT_TYPES.article;
+        const fields = [];
+        const add = (name, value, raw = false) => {
+            if (value) fields.push([name, raw ? String(value) : escapeBibTeX(String(value))]);
+        };
 
-        // Use the itemType field to determine entry type
-        let entryType = '@misc'; // Default
-        if (paper.itemType) {
-            entryType = `@${paper.itemType}`;
-        } else if (paper.journal && paper.year) {
-            entryType = '@article';
-        } else if (paper.chapter) {
-            entryType = '@inbook';
-        }
+        // BibTeX needs "Last, First and Last, First"; commas between authors would merge them into one name
+        const authors = splitAuthorList(paper.authors).map(toLastFirstName);
+        add('author', authors.map(name => escapeBibTeX(name)).join(' and '), true);
+        add('title', paper.title);
 
-        const fields = [`${entryType}{${bibtexKey},`];
-        fields.push(`  title = {${escapeBibTeX(paper.title)}},`);
+        // Publisher/address imported from other formats live in the notes
+        const noteParts = (paper.notes || '').split(/\s*\|\s*/).filter(part => part);
+        const notePart = label => {
+            const match = noteParts.find(part => part.startsWith(`${label}: `));
+            return match ? match.substring(label.length + 2) : '';
+        };
+        const publisher = notePart('Publisher');
+        const address = notePart('Address');
+        const note = noteParts.filter(part => !/^(Publisher|Address): /.test(part)).join(' | ');
 
-        if (paper.authors) {
-            fields.push(`  author = {${escapeBibTeX(paper.authors)}},`);
-        }
+        add(type.venue[format] || type.venue.bibtex, paper.journal);
+        if (paper.itemType !== 'book') add('publisher', publisher);
+        add(biblatex ? 'location' : 'address', address);
+        if (type.type && biblatex) add('type', type.type);
 
-        if (paper.year) {
-            fields.push(`  year = {${paper.year}},`);
+        if (biblatex) {
+            add('date', paper.year, true);
+        } else {
+            add('year', paper.year, true);
         }
-
-        if (paper.journal) {
-            fields.push(`  journal = {${escapeBibTeX(paper.journal)}},`);
+        add('volume', paper.volume);
+        add('number', paper.issue);
+        add('pages', (paper.pages || '').replace(/\s*[-–—]+\s*/g, '--'));
+
+        // DOI field may hold a plain URL; only real DOIs go into doi
+        const doiSource = paper.doi || '';
+        const doiMatch = doiSource.match(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)?(10\.\d{4,}\/\S+)$/i);
+        const url = paper.url && paper.url !== doiSource ? paper.url : (doiMatch ? '' : doiSource);
+        if (doiMatch) add('doi', doiMatch[1], true);
+        add('url', url, true);
+
+        const arxivMatch = `${doiSource} ${paper.url || ''}`.match(/arxiv\.org\/(?:abs|pdf)\/([^\s?#]+?)(?:\.pdf)?(?:[\s?#]|$)/i);
+        if (arxivMatch) {
+            add('eprint', arxivMatch[1], true);
+            add(biblatex ? 'eprinttype' : 'archiveprefix', biblatex ? 'arxiv' : 'arXiv', true);
         }
 
-        if (paper.volume) {
-            fields.push(`  volume = {${paper.volume}},`);
-        }
+        const standardNumber = paper.issn || '';
+        const isISBN = paper.itemType === 'book' || standardNumber.replace(/[^0-9X]/gi, '').length >= 10;
+        add(isISBN ? 'isbn' : 'issn', standardNumber, true);
 
-        if (paper.issue) {
-            fields.push(`  number = {${paper.issue}},`);
-        }
+        add('pmid', paper.pmid, true);
+        add('pmcid', paper.pmcid, true);
 
-        if (paper.pages) {
-            fields.push(`  pages = {${paper.pages}},`);
+        if (paper.language && paper.language !== 'en') {
+            const languageName = Object.keys(LANGUAGE_NAME_MAP).find(name => LANGUAGE_NAME_MAP[name] === paper.language);
+            add(biblatex ? 'langid' : 'language', languageName || paper.language, true);
         }
 
-        if (paper.doi) {
-            fields.push(`  doi = {${paper.doi}},`);
+        add('keywords', paper.keywords);
+        add('abstract', paper.abstract);
+        add('note', note);
+
+        // Tracker reading data goes into the annotation field, which styles ignore unless asked to print it
+        const trackerFields = [];
+        if (paper.status) trackerFields.push(`Status: ${paper.status}`);
+        if (paper.priority) trackerFields.push(`Priority: ${paper.priority}`);
+        if (paper.rating) trackerFields.push(`Rating: ${paper.rating}/5`);
+        if (paper.relevance) trackerFields.push(`Relevance: ${paper.relevance}`);
+        add(biblatex ? 'annotation' : 'annote', trackerFields.join(', '));
+
+        add('chapter', paper.chapter);
+
+        const present = new Set(fields.map(field => field[0]));
+        const missing = type.required
+            .map(name => (name === 'venue' ? type.venue[format] || type.venue.bibtex : name))
+            .map(name => (name === 'year' && biblatex ? 'date' : name))
+            .filter(name => !present.has(name));
+        if (missing.length > 0) {
+            lines.push(`% Missing required field(s): ${missing.join(', ')}`);
         }
 
-        if (paper.url) {
-            fields.push(`  url = {${paper.url}},`);
-        }
+        lines.push(`@${biblatex ? type.biblatex : type.bibtex}{${getCiteKey(paper)},`);
+        lines.push(fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n'));
+        lines.push('}');
+        lines.push('');
+    });
 
-        if (paper.issn) {
-            fields.push(`  issn = {${paper.issn}},`);
-        }
+    return lines.join('\n');
+}
 
-        if (paper.language && paper.language !== 'en') {
-            fields.push(`  language = {${paper.language}},`);
-        }
+// Export to BibTeX format (classic BibTeX or BibLaTeX, per Settings)
+function exportToBibTeX() {
+    const bibtexContent = buildBibTeX(papers, bibtexExportFormat);
+    downloadFile(bibtexContent, `research_papers_${new Date().toISOString().split('T')[0]}.bib`, 'text/plain;charset=utf-8;');
+}
 
-        if (paper.keywords) {
-            fields.push(`  keywords = {${escapeBibTeX(paper.keywords)}},`);
-        }
+// CSL type <-> tracker itemType
+const ITEM_TYPE_TO_CSL = {
+    article: 'article-journal',
+    inproceedings: 'paper-conference',
+    book: 'book',
+    techreport: 'report',
+    phdthesis: 'thesis',
+    misc: 'document'
+};
 
-        // Add abstract if available
-        if (paper.abstract) {
-            fields.push(`  abstract = {${escapeBibTeX(paper.abstract)}},`);
-        }
+const CSL_TYPE_MAP = {
+    'article': 'article',
+    'article-journal': 'article',
+    'article-magazine': 'article',
+    'article-newspaper': 'article',
+    'review': 'article',
+    'paper-conference': 'inproceedings',
+    'book': 'book',
+    'chapter': 'book',
+    'report': 'techreport',
+    'thesis': 'phdthesis'
+};
+
+// Tracker fields without a CSL variable are kept in the CSL 1.0.2 "custom" object
+const CSL_CUSTOM_FIELDS = ['chapter', 'status', 'priority', 'rating', 'relevance', 'keyPoints', 'dateAdded'];
+
+// Convert a paper to a CSL-JSON item
+function paperToCSL(paper) {
+    const item = {
+        id: getCiteKey(paper),
+        type: ITEM_TYPE_TO_CSL[paper.itemType] || 'article-journal',
+        title: paper.title
+    };
+
+    const authors = splitAuthorList(paper.authors).map(name => {
+        const parts = splitPersonName(name);
+        return parts.given ? { family: parts.family, given: parts.given } : { literal: parts.family };
+    });
+    if (authors.length > 0) item.author = authors;
+
+    const year = parseInt(paper.year);
+    if (!isNaN(year)) item.issued = { 'date-parts': [[year]] };
+
+    if (paper.journal) item['container-title'] = paper.journal;
+    if (paper.volume) item.volume = paper.volume;
+    if (paper.issue) item.issue = paper.issue;
+    if (paper.pages) item.page = paper.pages;
+
+    const doi = paper.doi || '';
+    if (/^10\.\d{4,}/.test(doi)) {
+        item.DOI = doi;
+        if (paper.url && paper.url !== doi) item.URL = paper.url;
+    } else if (doi) {
+        item.URL = doi;
+    } else if (paper.url) {
+        item.URL = paper.url;
+    }
+
+    if (paper.issn) item.ISSN = paper.issn;
+    if (paper.pmid) item.PMID = paper.pmid;
+    if (paper.pmcid) item.PMCID = paper.pmcid;
+    if (paper.keywords) item.keyword = paper.keywords;
+    if (paper.abstract) item.abstract = paper.abstract;
+    if (paper.notes) item.note = paper.notes;
+    if (paper.language) item.language = paper.language;
+
+    const custom = {};
+    CSL_CUSTOM_FIELDS.forEach(field => {
+        if (paper[field]) custom[field] = paper[field];
+    });
+    if (Object.keys(custom).length > 0) item.custom = custom;
+
+    return item;
+}
+
+// Convert a CSL-JSON item to paper data
+function cslToPaperData(item) {
+    const names = (item.author || item.editor || []).map(name => {
+        if (name.literal) return name.literal;
+        return [name.given, name['non-dropping-particle'], name.family].filter(part => part).join(' ');
+    });
+
+    let year = '';
+    const issued = item.issued || {};
+    if (Array.isArray(issued['date-parts']) && Array.isArray(issued['date-parts'][0])) {
+        year = String(issued['date-parts'][0][0] || '');
+    } else if (issued.raw || issued.literal) {
+        year = String(issued.raw || issued.literal);
+    } else if (item.year) {
+        year = String(item.year);
+    }
+
+    const keywords = Array.isArray(item.keyword) ? item.keyword.join(', ') : (item.keyword || '');
+
+    const paper = {
+        itemType: CSL_TYPE_MAP[item.type] || 'misc',
+        // Zotero and Pandoc ids are citation keys; URIs and numeric ids are not
+        citeKey: typeof item.id === 'string' && /^[A-Za-z][\w:.-]{0,99}$/.test(item.id) ? item.id : '',
+        title: item.title || '',
+        authors: names.join(', '),
+        year,
+        journal: item['container-title'] || item['collection-title'] || '',
+        volume: String(item.volume || ''),
+        issue: String(item.issue || ''),
+        pages: String(item.page || ''),
+        doi: item.DOI || item.URL || '',
+        url: item.URL || '',
+        issn: Array.isArray(item.ISSN) ? item.ISSN[0] : (item.ISSN || ''),
+        pmid: item.PMID || '',
+        pmcid: item.PMCID || '',
+        keywords,
+        abstract: item.abstract || '',
+        notes: item.note || '',
+        language: item.language || ''
+    };
+
+    const custom = item.custom && typeof item.custom === 'object' ? item.custom : {};
+    CSL_CUSTOM_FIELDS.forEach(field => {
+        if (custom[field]) paper[field] = String(custom[field]);
+    });
+
+    return paper;
+}
+
+// Export to CSL-JSON (Zotero, Pandoc, citeproc)
+function exportToCSLJSON() {
+    const items = papers.filter(paper => paper.title).map(paperToCSL);
+    const jsonString = JSON.stringify(items, null, 2);
+    downloadFile(jsonString, `research_papers_${new Date().toISOString().split('T')[0]}.csl.json`, 'application/vnd.citationstyles.csl+json;charset=utf-8;');
+}
+
+// Escape text for XML element content and attributes
+function escapeXml(text) {
+    if (!text) return '';
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '') // Characters not allowed in XML 1.0
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Tracker itemType -> Word bibliography SourceType
+const ITEM_TYPE_TO_WORD_SOURCE = {
+    article: 'JournalArticle',
+    inproceedings: 'ConferenceProceedings',
+    book: 'Book',
+    techreport: 'Report',
+    phdthesis: 'Report',
+    misc: 'Misc'
+};
 
-        // Add custom fields for our tracker
-        const noteFields = [];
-        if (paper.status) noteFields.push(`Status: ${paper.status}`);
-        if (paper.priority) noteFields.push(`Priority: ${paper.priority}`);
-        if (paper.rating) noteFields.push(`Rating: ${paper.rating}/5`);
-        if (paper.relevance) noteFields.push(`Relevance: ${escapeBibTeX(paper.relevance)}`);
+// Build a Word bibliography (Sources.xml) document
+function buildWordSourcesXML(paperList) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<b:Sources SelectedStyle="\\APASixthEditionOfficeOnline.xsl" StyleName="APA" Version="6" xmlns:b="http://schemas.openxmlformats.org/officeDocument/2006/bibliography" xmlns="http://schemas.openxmlformats.org/officeDocument/2006/bibliography">'
+    ];
+
+    paperList.forEach(paper => {
+        if (!paper.title) return; // Skip papers without titles
 
-        if (noteFields.length > 0) {
-            fields.push(`  note = {${noteFields.join(', ')}},`);
+        const sourceType = ITEM_TYPE_TO_WORD_SOURCE[paper.itemType] || 'JournalArticle';
+        const element = (name, value) => {
+            if (value) lines.push(`    <b:${name}>${escapeXml(value)}</b:${name}>`);
+        };
+
+        lines.push('  <b:Source>');
+        element('Tag', getCiteKey(paper));
+        element('SourceType', sourceType);
+        element('Title', paper.title);
+        element('Year', paper.year);
+
+        const people = splitAuthorList(paper.authors).map(name => {
+            const parts = splitPersonName(name);
+            const givenNames = parts.given.split(/\s+/).filter(part => part);
+            const person = [`<b:Last>${escapeXml(parts.family)}</b:Last>`];
+            if (givenNames.length > 0) person.push(`<b:First>${escapeXml(givenNames[0])}</b:First>`);
+            if (givenNames.length > 1) person.push(`<b:Middle>${escapeXml(givenNames.slice(1).join(' '))}</b:Middle>`);
+            return `<b:Person>${person.join('')}</b:Person>`;
+        });
+        if (people.length > 0) {
+            lines.push(`    <b:Author><b:Author><b:NameList>${people.join('')}</b:NameList></b:Author></b:Author>`);
         }
 
-        if (paper.chapter) {
-            fields.push(`  chapter = {${escapeBibTeX(paper.chapter)}},`);
+        if (sourceType === 'JournalArticle') {
+            element('JournalName', paper.journal);
+        } else if (sourceType === 'ConferenceProceedings') {
+            element('ConferenceName', paper.journal);
+        } else if (sourceType === 'Book') {
+            element('Publisher', paper.journal);
+        } else if (sourceType === 'Report') {
+            element('Institution', paper.journal);
+            if (paper.itemType === 'phdthesis') element('ThesisType', 'Doctoral dissertation');
+        } else {
+            element('PublicationTitle', paper.journal);
         }
 
-        // Remove trailing comma from last field
-        const lastField = fields[fields.length - 1];
-        fields[fields.length - 1] = lastField.replace(/,$/, '');
+        element('Volume', paper.volume);
+        element('Issue', paper.issue);
+        element('Pages', paper.pages);
 
-        fields.push('}');
-        fields.push('');
+        const doi = paper.doi || '';
+        if (/^10\.\d{4,}/.test(doi)) {
+            element('DOI', doi);
+            if (paper.url && paper.url !== doi) element('URL', paper.url);
+        } else {
+            element('URL', doi || paper.url);
+        }
 
-        lines.push(...fields);
+        element('StandardNumber', paper.issn);
+        lines.push('  </b:Source>');
     });
 
-    const bibtexContent = lines.join('\n');
-    const blob = new Blob([bibtexContent], { type: 'text/plain;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `research_papers_${new Date().toISOString().split('T')[0]}.bib`);
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    lines.push('</b:Sources>');
+    return lines.join('\n');
 }
 
-// Helper function to generate BibTeX key
-function generateBibTeXKey(paper) {
-    if (!paper.title) return 'unknown';
-    
-    // Extract first author's last name
-    let authorKey = 'unknown';
-    if (paper.authors) {
-        const firstAuthor = paper.authors.split(',')[0].trim();
-        const lastName = firstAuthor.split(' ').pop();
-        if (lastName) {
-            authorKey = lastName.toLowerCase();
-        }
-    }
-    
-    // Extract year
-    const year = paper.year || new Date().getFullYear();
-    
-    // Extract first few words of title
-    const titleWords = paper.title.toLowerCase()
-        .replace(/[^\w\s]/g, '')
-        .split(' ')
-        .filter(word => word.length > 2)
-        .slice(0, 3)
-        .join('');
-    
-    return `${authorKey}${year}${titleWords}`.substring(0, 20);
+// Export the library, or a selection of it, as a Word bibliography (Sources.xml)
+function exportToWordXML() {
+    showPaperSelectionModal('📝 Export Word Bibliography', 'Export Sources.xml', selectedPapers => {
+        const xmlContent = buildWordSourcesXML(selectedPapers);
+        downloadFile(xmlContent, 'Sources.xml', 'application/xml;charset=utf-8;');
+    });
 }
 
-// Helper function to escape BibTeX special characters
-function escapeBibTeX(text) {
-    if (!text) return '';
-    return text
-        .replace(/\\/g, '\\textbackslash{}')
-        .replace(/\{/g, '\\{')
-        .replace(/\}/g, '\\}')
-        .replace(/\$/g, '\\$')
-        .replace(/&/g, '\\&')
-        .replace(/%/g, '\\%')
-        .replace(/#/g, '\\#')
-        .replace(/\^/g, '\\textasciicircum{}')
-        .replace(/_/g, '\\_')
-        .replace(/~/g, '\\textasciitilde{}');
+// Obsidian vault export: one literature note per paper plus an index note per chapter.
+// Notes live in a subfolder of the papers folder (or of the ZIP) and are named after the citation key.
+const OBSIDIAN_NOTES_FOLDER = 'Literature Notes';
+const OBSIDIAN_CHAPTERS_FOLDER = 'Chapters';
+// Text below this line in a note is the user's own and is carried over when the note is re-exported
+const OBSIDIAN_USER_SECTION_MARKER = '%% Your own notes go below this line; the tracker keeps them when it updates this note %%';
+
+// Make a note name that is valid on all file systems and in Obsidian links
+function obsidianFileName(name) {
+    const cleaned = String(name || '')
+        .replace(/[<>:"/\\|?*#^[\]]/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, 120);
+    return cleaned || 'Untitled';
 }
 
-function importCSV(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    // Validate file type
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-        alert('Please select a CSV file');
-        return;
+// Quote a YAML scalar; JSON strings are valid YAML double-quoted strings
+function yamlString(value) {
+    return JSON.stringify(String(value || ''));
+}
+
+// Obsidian tags cannot contain spaces and must not be purely numeric
+function obsidianTag(keyword) {
+    const tag = keyword.trim().toLowerCase().replace(/[^\p{L}\p{N}_/-]+/gu, '-').replace(/^-+|-+$/g, '');
+    return /\D/.test(tag) ? tag : '';
+}
+
+// Markdown literature note for one paper; userSection is the user's text from a previous export
+function buildObsidianNote(paper, userSection = '') {
+    const doi = (paper.doi || '').match(/(10\.\d{4,}\/\S+)$/);
+    const url = paper.url && paper.url !== paper.doi ? paper.url : (doi ? '' : paper.doi);
+    const tags = (paper.keywords || '').split(/[,;]/).map(obsidianTag).filter(tag => tag);
+    const authors = splitAuthorList(paper.authors);
+
+    const lines = [
+        '---',
+        `tracker-id: ${paper.id}`,
+        `citekey: ${yamlString(getCiteKey(paper))}`,
+        `title: ${yamlString(paper.title)}`,
+        authors.length > 0 ? 'authors:' : 'authors: []',
+        ...authors.map(author => `  - ${yamlString(author)}`),
+        `year: ${/^\d+$/.test(paper.year || '') ? paper.year : yamlString(paper.year)}`,
+        `venue: ${yamlString(paper.journal)}`,
+        `doi: ${yamlString(doi ? doi[1] : '')}`
+    ];
+    if (url) lines.push(`url: ${yamlString(url)}`);
+    lines.push(
+        `status: ${yamlString(paper.status)}`,
+        `priority: ${yamlString(paper.priority)}`,
+        `rating: ${paper.rating ? paper.rating : yamlString('')}`,
+        tags.length > 0 ? 'tags:' : 'tags: []',
+        ...tags.map(tag => `  - ${yamlString(tag)}`),
+        `chapter: ${yamlString(paper.chapter)}`,
+        '---',
+        '',
+        `# ${paper.title}`,
+        ''
+    );
+
+    if (paper.citation) {
+        lines.push(`> ${paper.citation.replace(/\s+/g, ' ')}`, '');
     }
-    
-    // Validate file size (limit to 10MB)
-    if (file.size > 10 * 1024 * 1024) {
-        alert('File is too large. Please select a file smaller than 10MB');
-        return;
+    if (paper.chapter) {
+        lines.push(`Chapter: [[${obsidianFileName(paper.chapter)}|${paper.chapter.replace(/[[\]|]/g, '')}]]`, '');
     }
-    
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        try {
-            const csv = e.target.result;
-            const lines = csv.split('\n');
-            
-            let importCount = 0;
-            let pdfRestoreCount = 0;
-            const maxRows = 1000; // Prevent memory issues
-            
-            for (let i = 1; i < Math.min(lines.length, maxRows + 1); i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-                
-                // Use safer CSV parsing to prevent ReDoS
-                const values = parseCSVLine(line);
-                if (values.length < 3) continue; // Minimum required fields
-                
-                const cleanValue = (val) => val ? val.replace(/^"|"$/g, '').trim() : '';
-                
-                // Handle different CSV formats (backward compatibility)
-                // New format has more columns, so we need to detect the format
-                const isNewFormat = values.length >= 20; // New format has more columns
-                
-                let paper;
-                if (isNewFormat) {
-                    // New format with all fields
-                    const pdfStatus = cleanValue(values[19] || '');
-                    const pdfSource = cleanValue(values[20] || '');
-                    const pdfPath = cleanValue(values[21] || '');
-                    const pdfFilename = cleanValue(values[22] || '');
-                    
-                    paper = {
-                        id: nextId++,
-                        itemType: cleanValue(values[0]) || 'article',
-                        title: cleanValue(values[1]).substring(0, 500),
-                        authors: cleanValue(values[2]).substring(0, 500),
-                        year: cleanValue(values[3]).substring(0, 4),
-                        journal: cleanValue(values[4]).substring(0, 300),
-                        volume: cleanValue(values[5]).substring(0, 50),
-                        issue: cleanValue(values[6]).substring(0, 50),
-                        pages: cleanValue(values[7]).substring(0, 100),
-                        doi: cleanValue(values[8]).substring(0, 500),
-                        url: cleanValue(values[8]).substring(0, 500), // Same as DOI for now
-                        issn: cleanValue(values[9]).substring(0, 50),
-                        language: cleanValue(values[10]) || 'en',
-                        keywords: cleanValue(values[11]).substring(0, 500),
-                        abstract: cleanValue(values[12]).substring(0, 2000),
-                        relevance: cleanValue(values[13]).substring(0, 1000),
-                        status: ['to-read', 'reading', 'read', 'skimmed'].includes(cleanValue(values[14])) ? cleanValue(values[14]) : 'to-read',
-                        priority: ['low', 'medium', 'high'].includes(cleanValue(values[15])) ? cleanValue(values[15]) : 'medium',
-                        rating: ['1','2','3','4','5'].includes(cleanValue(values[16])) ? cleanValue(values[16]) : '',
-                        dateAdded: cleanValue(values[17]) || new Date().toISOString().split('T')[0],
-                        citation: cleanValue(values[18]).substring(0, 1000),
-                        chapter: cleanValue(values[19]).substring(0, 200),
-                        hasPDF: pdfStatus === 'Yes' || pdfStatus === 'true',
-                        pdfSource: ['folder', 'local', 'file', 'online', 'none', 'indexeddb'].includes(pdfSource) ? pdfSource : 'none',
-                        pdfPath: pdfPath || '',
-                        pdfFilename: pdfFilename || '',
-                        pdfBlobUrl: null,
-                        pdfHandle: null,
-                        // Legacy fields for backward compatibility
-                        keyPoints: cleanValue(values[12]).substring(0, 2000),
-                        notes: cleanValue(values[13]).substring(0, 1000)
-                    };
-                } else {
-                    // Old format - backward compatibility
-                    const pdfStatus = cleanValue(values[14] || '');
-                    const pdfSource = cleanValue(values[15] || '');
-                    const pdfPath = cleanValue(values[16] || '');
-                    const pdfFilename = cleanValue(values[17] || '');
-                    
-                    paper = {
-                        id: nextId++,
-                        itemType: 'article', // Default for old format
-                        title: cleanValue(values[0]).substring(0, 500),
-                        authors: cleanValue(values[1]).substring(0, 500),
-                        year: cleanValue(values[2]).substring(0, 4),
-                        journal: cleanValue(values[3]).substring(0, 300),
-                        volume: '',
-                        issue: '',
-                        pages: '',
-                        doi: cleanValue(values[12]).substring(0, 500),
-                        url: cleanValue(values[12]).substring(0, 500),
-                        issn: '',
-                        language: 'en',
-                        keywords: cleanValue(values[4]).substring(0, 500),
-                        abstract: cleanValue(values[9]).substring(0, 2000),
-                        relevance: cleanValue(values[10]).substring(0, 1000),
-                        status: ['to-read', 'reading', 'read', 'skimmed'].includes(cleanValue(values[5])) ? cleanValue(values[5]) : 'to-read',
-                        priority: ['low', 'medium', 'high'].includes(cleanValue(values[6])) ? cleanValue(values[6]) : 'medium',
-                        rating: ['1','2','3','4','5'].includes(cleanValue(values[7])) ? cleanValue(values[7]) : '',
-                        dateAdded: cleanValue(values[8]) || new Date().toISOString().split('T')[0],
-                        citation: cleanValue(values[11]).substring(0, 1000),
-                        chapter: cleanValue(values[13]).substring(0, 200),
-                        hasPDF: pdfStatus === 'Yes' || pdfStatus === 'true',
-                        pdfSource: ['folder', 'local', 'file', 'online', 'none'].includes(pdfSource) ? pdfSource : 'none',
-                        pdfPath: pdfPath || '',
-                        pdfFilename: pdfFilename || '',
-                        pdfBlobUrl: null,
-                        pdfHandle: null,
-                        // Legacy fields for backward compatibility
-                        keyPoints: cleanValue(values[9]).substring(0, 2000),
-                        notes: cleanValue(values[10]).substring(0, 1000)
-                    };
-                }
-                
-                // Try to restore PDF if file path exists
-                if (paper.hasPDF && paper.pdfPath && paper.pdfSource === 'file') {
-                    if (await tryRestorePDFFromPath(paper)) {
-                        pdfRestoreCount++;
-                    }
-                }
-                
-                papers.push(paper);
-                importCount++;
+
+    [['Abstract', paper.abstract], ['Key Points', paper.keyPoints], ['Relevance', paper.relevance], ['Notes', paper.notes]]
+        .forEach(([heading, text]) => {
+            if (text && text.trim()) {
+                lines.push(`## ${heading}`, '', text.trim(), '');
             }
-            
-            if (importCount > 0) {
-                showSummary();
-                updateStats();
-                showSummary();
-                storage.save();
-                
-                let message = `Successfully imported ${importCount} papers`;
-                if (pdfRestoreCount > 0) {
-                    message += ` and restored ${pdfRestoreCount} PDF references`;
-                }
-                alert(message);
-            } else {
+        });
+
+    lines.push(OBSIDIAN_USER_SECTION_MARKER, userSection);
+    return lines.join('\n');
+}
+
+// Index note listing every paper of a chapter
+function buildObsidianChapterIndex(chapter, chapterPapers) {
+    const lines = [
+        '---',
+        'tracker-chapter-index: true',
+        `chapter: ${yamlString(chapter)}`,
+        '---',
+        '',
+        `# ${chapter}`,
+        '',
+        `${chapterPapers.length} paper${chapterPapers.length === 1 ? '' : 's'}`,
+        ''
+    ];
+    chapterPapers.forEach(paper => {
+        const details = [paper.year, paper.status, paper.rating ? `${paper.rating}★` : ''].filter(value => value).join(' · ');
+        lines.push(`- [[${obsidianFileName(getCiteKey(paper))}|${paper.title.replace(/[[\]|]/g, '')}]]${details ? ` — ${details}` : ''}`);
+    });
+    lines.push('');
+    return lines.join('\n');
+}
+
+// All vault files as [{ path, content }], paths relative to the notes folder
+function buildObsidianVaultFiles(paperList, userSections = new Map()) {
+    const files = [];
+    const chapters = new Map();
+
+    paperList.forEach(paper => {
+        files.push({
+            path: `${obsidianFileName(getCiteKey(paper))}.md`,
+            content: buildObsidianNote(paper, userSections.get(paper.id) || '')
+        });
+        const chapter = paper.chapter || 'Unassigned';
+        if (!chapters.has(chapter)) chapters.set(chapter, []);
+        chapters.get(chapter).push(paper);
+    });
+
+    chapters.forEach((chapterPapers, chapter) => {
+        files.push({
+            path: `${OBSIDIAN_CHAPTERS_FOLDER}/${obsidianFileName(chapter)}.md`,
+            content: buildObsidianChapterIndex(chapter, chapterPapers)
+        });
+    });
+
+    return files;
+}
+
+// Write the vault into the papers folder. Notes from earlier exports are found by their tracker-id,
+// so they are updated in place (keeping the user's own section) even if the citation key changed.
+async function writeObsidianVault(rootHandle, paperList) {
+    if (rootHandle.queryPermission && await rootHandle.queryPermission({ mode: 'readwrite' }) !== 'granted') {
+        if (await rootHandle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+            throw new Error('Permission to write to the papers folder was denied');
+        }
+    }
+
+    const notesHandle = await rootHandle.getDirectoryHandle(OBSIDIAN_NOTES_FOLDER, { create: true });
+    const existing = new Map();
+    for await (const [name, handle] of notesHandle.entries()) {
+        if (handle.kind !== 'file' || !name.endsWith('.md')) continue;
+        const text = await (await handle.getFile()).text();
+        const idMatch = text.match(/^---\r?\n(?:.*\r?\n)*?tracker-id: (\d+)\r?$/m);
+        if (!idMatch) continue;
+        const markerIndex = text.indexOf(OBSIDIAN_USER_SECTION_MARKER);
+        existing.set(Number(idMatch[1]), {
+            name,
+            userSection: markerIndex === -1 ? '' : text.substring(markerIndex + OBSIDIAN_USER_SECTION_MARKER.length).replace(/^\r?\n/, '')
+        });
+    }
+
+    const userSections = new Map();
+    existing.forEach((note, id) => userSections.set(id, note.userSection));
+    const files = buildObsidianVaultFiles(paperList, userSections);
+
+    const chaptersHandle = await notesHandle.getDirectoryHandle(OBSIDIAN_CHAPTERS_FOLDER, { create: true });
+    const writtenChapters = new Set();
+    const writtenNotes = new Set();
+    for (const file of files) {
+        const isChapter = file.path.startsWith(`${OBSIDIAN_CHAPTERS_FOLDER}/`);
+        const name = isChapter ? file.path.substring(OBSIDIAN_CHAPTERS_FOLDER.length + 1) : file.path;
+        (isChapter ? writtenChapters : writtenNotes).add(name);
+        const fileHandle = await (isChapter ? chaptersHandle : notesHandle).getFileHandle(name, { create: true });
+        const writable = await fileHandle.createWritable();
+        await writable.write(file.content);
+        await writable.close();
+    }
+
+    // Drop notes left behind by a citation key change, and indexes of chapters that no longer exist.
+    // A key can pass to another paper in the same run, so a name written just now is never removed
+    let updated = 0;
+    for (const paper of paperList) {
+        const note = existing.get(paper.id);
+        if (!note) continue;
+        updated++;
+        if (!writtenNotes.has(note.name)) {
+            await notesHandle.removeEntry(note.name);
+        }
+    }
+    for await (const [name, handle] of chaptersHandle.entries()) {
+        if (handle.kind !== 'file' || writtenChapters.has(name) || !name.endsWith('.md')) continue;
+        const text = await (await handle.getFile()).text();
+        if (/^tracker-chapter-index: true\r?$/m.test(text)) {
+            await chaptersHandle.removeEntry(name);
+        }
+    }
+
+    return { created: paperList.length - updated, updated };
+}
+
+// Export literature notes for Obsidian into the papers folder, or as a ZIP when no folder is selected
+async function exportToObsidian() {
+    const exportable = papers.filter(paper => paper.title);
+    if (exportable.length === 0) {
+        alert('No papers with titles to export');
+        return;
+    }
+
+    if (papersFolderHandle) {
+        try {
+            const result = await writeObsidianVault(papersFolderHandle, exportable);
+            alert(`Obsidian notes written to "${papersFolderPath}/${OBSIDIAN_NOTES_FOLDER}"\n\n` +
+                `${result.created} new, ${result.updated} updated`);
+            return;
+        } catch (error) {
+            console.error('Obsidian export error:', error);
+            alert('Could not write to the papers folder. The notes will be downloaded as a ZIP file instead.');
+        }
+    }
+
+    const files = buildObsidianVaultFiles(exportable).map(file => ({
+        name: `${OBSIDIAN_NOTES_FOLDER}/${file.path}`,
+        content: file.content
+    }));
+    const zipBlob = await createZipBlob(files);
+    downloadFile(zipBlob, `obsidian_notes_${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+}
+
+// Paper fields that can make up the annotation paragraph of an annotated bibliography
+const ANNOTATION_FIELDS = [
+    ['abstract', 'Abstract'],
+    ['keyPoints', 'Key Points'],
+    ['relevance', 'Relevance'],
+    ['notes', 'Notes']
+];
+
+// Split a paper's APA 7 citation into plain and italic runs, following formatAPA7CitationHTML()
+function getCitationSegments(paper) {
+    const text = formatAPA7Citation(paper) || paper.citation || `${paper.title}.`;
+    const journal = (paper.journal || '').trim();
+    let italicText = '';
+
+    if (journal && journal.toLowerCase().includes('arxiv')) {
+        italicText = 'arXiv preprint';
+    } else if (journal) {
+        italicText = paper.volume && text.includes(`${journal}, ${paper.volume}`) ? `${journal}, ${paper.volume}` : journal;
+    }
+
+    const start = italicText ? text.indexOf(italicText) : -1;
+    if (start === -1) return [{ text, italic: false }];
+    return [
+        { text: text.substring(0, start), italic: false },
+        { text: italicText, italic: true },
+        { text: text.substring(start + italicText.length), italic: false }
+    ].filter(segment => segment.text);
+}
+
+// Sorted (optionally chapter-grouped) entries: [{ heading, entries: [{ segments, annotation }] }]
+function collectAnnotatedBibliography(paperList, options) {
+    const entries = paperList
+        .filter(paper => paper.title)
+        .map(paper => ({
+            paper,
+            segments: getCitationSegments(paper),
+            annotation: options.fields
+                .map(field => (paper[field] || '').trim())
+                .filter(text => text)
+                .join(' ')
+        }))
+        .map(entry => Object.assign(entry, { sortKey: entry.segments.map(segment => segment.text).join('') }))
+        .sort((a, b) => a.sortKey.localeCompare(b.sortKey, undefined, { sensitivity: 'base' }));
+
+    if (!options.groupByChapter) {
+        return [{ heading: '', entries }];
+    }
+
+    const groups = new Map();
+    entries.forEach(entry => {
+        const chapter = entry.paper.chapter || '';
+        if (!groups.has(chapter)) groups.set(chapter, []);
+        groups.get(chapter).push(entry);
+    });
+    // Chapters alphabetically, papers without a chapter last
+    return Array.from(groups.keys())
+        .sort((a, b) => (!a) - (!b) || a.localeCompare(b, undefined, { numeric: true }))
+        .map(chapter => ({ heading: chapter || 'Unassigned', entries: groups.get(chapter) }));
+}
+
+function buildAnnotatedBibliographyHTML(groups, title) {
+    const lines = [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="UTF-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>',
+        'body { font-family: "Times New Roman", Times, serif; font-size: 12pt; line-height: 1.6; max-width: 7in; margin: 1in auto; }',
+        'h1 { font-size: 14pt; text-align: center; }',
+        'h2 { font-size: 12pt; margin-top: 2em; }',
+        '.entry { padding-left: 0.5in; text-indent: -0.5in; margin: 1em 0 0.25em; }',
+        '.annotation { margin: 0 0 1em 0.5in; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(title)}</h1>`
+    ];
+    groups.forEach(group => {
+        if (group.heading) lines.push(`<h2>${escapeHtml(group.heading)}</h2>`);
+        group.entries.forEach(entry => {
+            const citation = entry.segments
+                .map(segment => (segment.italic ? `<em>${escapeHtml(segment.text)}</em>` : escapeHtml(segment.text)))
+                .join('');
+            lines.push(`<p class="entry">${citation}</p>`);
+            if (entry.annotation) lines.push(`<p class="annotation">${escapeHtml(entry.annotation)}</p>`);
+        });
+    });
+    lines.push('</body>', '</html>', '');
+    return lines.join('\n');
+}
+
+// Markdown has no hanging indent, so each annotation is set off as a block quote under its entry
+function buildAnnotatedBibliographyMarkdown(groups, title) {
+    const escapeMarkdown = text => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    const lines = [`# ${title}`, ''];
+    groups.forEach(group => {
+        if (group.heading) lines.push(`## ${escapeMarkdown(group.heading)}`, '');
+        group.entries.forEach(entry => {
+            const citation = entry.segments
+                .map(segment => (segment.italic ? `*${escapeMarkdown(segment.text)}*` : escapeMarkdown(segment.text)))
+                .join('');
+            lines.push(citation, '');
+            if (entry.annotation) lines.push(`> ${escapeMarkdown(entry.annotation).replace(/\n+/g, ' ')}`, '');
+        });
+    });
+    return lines.join('\n');
+}
+
+// Escape text for RTF; non-ASCII characters become \uN? (UTF-16 code units) so Word keeps them
+function escapeRtf(text) {
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        const char = text[i];
+        if (char === '\\' || char === '{' || char === '}') {
+            result += `\\${char}`;
+        } else if (char === '\n') {
+            result += '\\line ';
+        } else if (code > 127) {
+            result += `\\u${code > 32767 ? code - 65536 : code}?`;
+        } else {
+            result += char;
+        }
+    }
+    return result;
+}
+
+// RTF with a 0.5" hanging indent per entry (\li720\fi-720) and italics as {\i ...}
+function buildAnnotatedBibliographyRTF(groups, title) {
+    const lines = [
+        '{\\rtf1\\ansi\\ansicpg1252\\deff0',
+        '{\\fonttbl{\\f0\\froman Times New Roman;}}',
+        '\\f0\\fs24',
+        `{\\pard\\qc\\sa240\\b\\fs28 ${escapeRtf(title)}\\par}`
+    ];
+    groups.forEach(group => {
+        if (group.heading) lines.push(`{\\pard\\sb360\\sa120\\b ${escapeRtf(group.heading)}\\par}`);
+        group.entries.forEach(entry => {
+            const citation = entry.segments
+                .map(segment => (segment.italic ? `{\\i ${escapeRtf(segment.text)}}` : escapeRtf(segment.text)))
+                .join('');
+            lines.push(`{\\pard\\li720\\fi-720\\sb240 ${citation}\\par}`);
+            if (entry.annotation) lines.push(`{\\pard\\li720\\sb60 ${escapeRtf(entry.annotation)}\\par}`);
+        });
+    });
+    lines.push('}');
+    return lines.join('\n');
+}
+
+// Ask for annotation fields, grouping and format, then download the annotated bibliography
+function exportAnnotatedBibliography() {
+    if (!papers.some(paper => paper.title)) {
+        alert('No papers with titles to export');
+        return;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3 class="modal-title">🧾 Annotated Bibliography</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <div class="modal-field">
+                    <label for="annotated-bib-title">Title</label>
+                    <input type="text" id="annotated-bib-title" maxlength="200" value="Annotated Bibliography">
+                </div>
+                <p class="ai-instructions">Annotation paragraph is made from:</p>
+                ${ANNOTATION_FIELDS.map(([field, label]) => `
+                    <label class="settings-option">
+                        <input type="checkbox" name="annotation-field" value="${field}" ${field === 'abstract' || field === 'relevance' ? 'checked' : ''}>
+                        <span>${escapeHtml(label)}</span>
+                    </label>
+                `).join('')}
+                <label class="settings-option">
+                    <input type="checkbox" id="annotated-bib-group" checked>
+                    <span>Group by chapter</span>
+                </label>
+                <div class="modal-field">
+                    <label for="annotated-bib-format">Format</label>
+                    <select id="annotated-bib-format">
+                        <option value="html">HTML (open in a browser or Word)</option>
+                        <option value="markdown">Markdown</option>
+                        <option value="rtf">RTF (Word, Pages, LibreOffice)</option>
+                    </select>
+                </div>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="confirm">Export</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.getAttribute('data-action') === 'close') {
+            modal.remove();
+            return;
+        }
+        if (e.target.getAttribute('data-action') !== 'confirm') return;
+
+        const title = modal.querySelector('#annotated-bib-title').value.trim() || 'Annotated Bibliography';
+        const format = modal.querySelector('#annotated-bib-format').value;
+        const groups = collectAnnotatedBibliography(papers, {
+            fields: Array.from(modal.querySelectorAll('input[name="annotation-field"]:checked')).map(box => box.value),
+            groupByChapter: modal.querySelector('#annotated-bib-group').checked
+        });
+        const date = new Date().toISOString().split('T')[0];
+
+        if (format === 'markdown') {
+            downloadFile(buildAnnotatedBibliographyMarkdown(groups, title), `annotated_bibliography_${date}.md`, 'text/markdown;charset=utf-8;');
+        } else if (format === 'rtf') {
+            downloadFile(buildAnnotatedBibliographyRTF(groups, title), `annotated_bibliography_${date}.rtf`, 'application/rtf');
+        } else {
+            downloadFile(buildAnnotatedBibliographyHTML(groups, title), `annotated_bibliography_${date}.html`, 'text/html;charset=utf-8;');
+        }
+        modal.remove();
+    });
+}
+
+// Columns of the per-chapter sheets in spreadsheet exports; type decides how a cell is written
+const SPREADSHEET_COLUMNS = [
+    { header: 'Title', field: 'title', type: 'string', width: 50 },
+    { header: 'Authors', field: 'authors', type: 'string', width: 30 },
+    { header: 'Year', field: 'year', type: 'number', width: 8 },
+    { header: 'Item Type', field: 'itemType', type: 'string', width: 12 },
+    { header: 'Journal/Venue', field: 'journal', type: 'string', width: 30 },
+    { header: 'Volume', field: 'volume', type: 'string', width: 8 },
+    { header: 'Issue', field: 'issue', type: 'string', width: 8 },
+    { header: 'Pages', field: 'pages', type: 'string', width: 10 },
+    { header: 'DOI/URL', field: 'doi', type: 'string', width: 30 },
+    { header: 'Keywords', field: 'keywords', type: 'string', width: 30 },
+    { header: 'Status', field: 'status', type: 'string', width: 10 },
+    { header: 'Priority', field: 'priority', type: 'string', width: 10 },
+    { header: 'Rating', field: 'rating', type: 'number', width: 8 },
+    { header: 'Date Added', field: 'dateAdded', type: 'date', width: 12 },
+    { header: 'Abstract', field: 'abstract', type: 'string', width: 50 },
+    { header: 'Relevance', field: 'relevance', type: 'string', width: 40 },
+    { header: 'Key Points', field: 'keyPoints', type: 'string', width: 40 },
+    { header: 'Notes', field: 'notes', type: 'string', width: 40 },
+    { header: 'Citation', field: 'citation', type: 'string', width: 50 }
+];
+
+// Reading-status counts, as shown in the stats bar
+function computePaperStats(paperList) {
+    return paperList.reduce((acc, paper) => {
+        acc.total++;
+        if (paper.status === 'read') acc.read++;
+        else if (paper.status === 'reading') acc.reading++;
+        else if (paper.status === 'to-read') acc.toRead++;
+        return acc;
+    }, { total: 0, read: 0, reading: 0, toRead: 0 });
+}
+
+// Spreadsheet-neutral workbook: a summary sheet, then one sheet per chapter.
+// Each sheet is { name, columns: [{ header, type, width }], rows: [[value, ...]] }
+function buildSpreadsheetWorkbook(paperList) {
+    const chapters = new Map();
+    paperList.forEach(paper => {
+        const chapter = paper.chapter || '';
+        if (!chapters.has(chapter)) chapters.set(chapter, []);
+        chapters.get(chapter).push(paper);
+    });
+    const chapterNames = Array.from(chapters.keys())
+        .sort((a, b) => (!a) - (!b) || a.localeCompare(b, undefined, { numeric: true }));
+
+    // Sheet names: at most 31 characters, no []:*?/\ and unique regardless of case
+    const usedNames = new Set();
+    const sheetName = name => {
+        const base = (name.replace(/[[\]:*?/\\]/g, '-').trim() || 'Sheet').substring(0, 31);
+        let candidate = base;
+        for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+            candidate = `${base.substring(0, 31 - String(i).length - 1)} ${i}`;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    const countColumns = ['Papers', 'Read', 'Reading', 'To Read'].map(header => ({ header, type: 'number', width: 10 }));
+    const summaryRow = (label, stats) => [label, stats.total, stats.read, stats.reading, stats.toRead];
+    const summary = {
+        name: sheetName('Summary'),
+        columns: [{ header: 'Chapter', type: 'string', width: 40 }, ...countColumns],
+        rows: [
+            ...chapterNames.map(chapter => summaryRow(chapter || 'Unassigned', computePaperStats(chapters.get(chapter)))),
+            summaryRow('All papers', computePaperStats(paperList))
+        ]
+    };
+
+    const chapterSheets = chapterNames.map(chapter => ({
+        name: sheetName(chapter || 'Unassigned'),
+        columns: SPREADSHEET_COLUMNS,
+        rows: chapters.get(chapter).map(paper => SPREADSHEET_COLUMNS.map(column => paper[column.field] || ''))
+    }));
+
+    return [summary, ...chapterSheets];
+}
+
+// Normalise a cell for its column type; returns null for an empty cell
+function spreadsheetCellValue(value, type) {
+    const text = String(value === undefined || value === null ? '' : value);
+    if (text === '') return null;
+    if (type === 'number' && /^-?\d+(\.\d+)?$/.test(text)) {
+        return { type: 'number', value: text };
+    }
+    if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(Date.parse(text))) {
+        return { type: 'date', value: text };
+    }
+    return { type: 'string', value: text.substring(0, 32767) }; // Excel's per-cell limit
+}
+
+// A1-style column letters: 0 -> A, 25 -> Z, 26 -> AA
+function spreadsheetColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Office Open XML workbook (.xlsx) with inline strings, a date style and a frozen header row
+async function buildXLSX(sheets) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const epoch = Date.UTC(1899, 11, 30);
+
+    const sheetXml = sheet => {
+        const lastColumn = spreadsheetColumnName(sheet.columns.length - 1);
+        const row = (values, rowIndex, header) => {
+            const cells = values.map((value, columnIndex) => {
+                const ref = `${spreadsheetColumnName(columnIndex)}${rowIndex}`;
+                const cell = header ? { type: 'string', value: String(value) } : spreadsheetCellValue(value, sheet.columns[columnIndex].type);
+                if (!cell) return '';
+                if (cell.type === 'number') return `<c r="${ref}"><v>${cell.value}</v></c>`;
+                if (cell.type === 'date') {
+                    const [year, month, day] = cell.value.split('-').map(Number);
+                    return `<c r="${ref}" s="1"><v>${(Date.UTC(year, month - 1, day) - epoch) / 86400000}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"${header ? ' s="2"' : ''}><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`;
+            });
+            return `<row r="${rowIndex}">${cells.join('')}</row>`;
+        };
+
+        return [
+            xmlHeader,
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+            `<cols>${sheet.columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width}" customWidth="1"/>`).join('')}</cols>`,
+            '<sheetData>',
+            row(sheet.columns.map(column => column.header), 1, true),
+            ...sheet.rows.map((values, index) => row(values, index + 2, false)),
+            '</sheetData>',
+            `<autoFilter ref="A1:${lastColumn}${Math.max(sheet.rows.length + 1, 1)}"/>`,
+            '</worksheet>'
+        ].join('');
+    };
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>` +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            // Cell styles: 0 default, 1 date (yyyy-mm-dd), 2 bold header
+            name: 'xl/styles.xml',
+            content: xmlHeader +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="3">' +
+                '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                '</cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>'
+        },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheetXml(sheet) }))
+    ];
+
+    const zip = await createZipBlob(files);
+    return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+// OpenDocument spreadsheet (.ods) with typed cells and a frozen header row
+async function buildODS(sheets) {
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8"?>';
+    const namespaces = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+        'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+        'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+        'xmlns:number="urn:oasis:names:tc:opendocument:xmlns:datastyle:1.0" ' +
+        'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" ' +
+        'xmlns:config="urn:oasis:names:tc:opendocument:xmlns:config:1.0" office:version="1.2"';
+
+    const paragraphs = text => text.split(/\r?\n/).map(line => `<text:p>${escapeXml(line)}</text:p>`).join('');
+    const cellXml = (value, type, header) => {
+        const cell = header ? { type: 'string', value: String(value) } : spreadsheetCellValue(value, type);
+        if (!cell) return '<table:table-cell/>';
+        if (cell.type === 'number') {
+            return `<table:table-cell office:value-type="float" office:value="${cell.value}"><text:p>${cell.value}</text:p></table:table-cell>`;
+        }
+        if (cell.type === 'date') {
+            return `<table:table-cell table:style-name="ceDate" office:value-type="date" office:date-value="${cell.value}"><text:p>${cell.value}</text:p></table:table-cell>`;
+        }
+        return `<table:table-cell${header ? ' table:style-name="ceHeader"' : ''} office:value-type="string">${paragraphs(cell.value)}</table:table-cell>`;
+    };
+
+    // Column widths: one automatic style per distinct width (characters -> roughly 0.2cm each)
+    const widths = Array.from(new Set(sheets.flatMap(sheet => sheet.columns.map(column => column.width))));
+    const columnStyle = width => `co${widths.indexOf(width)}`;
+
+    const content = xmlHeader +
+        `<office:document-content ${namespaces}>` +
+        '<office:automatic-styles>' +
+        '<number:date-style style:name="N1"><number:year number:style="long"/><number:text>-</number:text>' +
+        '<number:month number:style="long"/><number:text>-</number:text><number:day number:style="long"/></number:date-style>' +
+        '<style:style style:name="ceDate" style:family="table-cell" style:data-style-name="N1"/>' +
+        '<style:style style:name="ceHeader" style:family="table-cell"><style:text-properties fo:font-weight="bold"/></style:style>' +
+        widths.map(width => `<style:style style:name="${columnStyle(width)}" style:family="table-column"><style:table-column-properties style:column-width="${(width * 0.2).toFixed(2)}cm"/></style:style>`).join('') +
+        '</office:automatic-styles>' +
+        '<office:body><office:spreadsheet>' +
+        sheets.map(sheet =>
+            `<table:table table:name="${escapeXml(sheet.name)}">` +
+            sheet.columns.map(column => `<table:table-column table:style-name="${columnStyle(column.width)}"/>`).join('') +
+            `<table:table-header-rows><table:table-row>${sheet.columns.map(column => cellXml(column.header, 'string', true)).join('')}</table:table-row></table:table-header-rows>` +
+            sheet.rows.map(values => `<table:table-row>${values.map((value, index) => cellXml(value, sheet.columns[index].type, false)).join('')}</table:table-row>`).join('') +
+            '</table:table>'
+        ).join('') +
+        '</office:spreadsheet></office:body></office:document-content>';
+
+    // Frozen first row per sheet lives in the view settings
+    const configItem = (name, type, value) => `<config:config-item config:name="${name}" config:type="${type}">${value}</config:config-item>`;
+    const settings = xmlHeader +
+        `<office:document-settings ${namespaces}><office:settings>` +
+        '<config:config-item-set config:name="ooo:view-settings"><config:config-item-map-indexed config:name="Views"><config:config-item-map-entry>' +
+        configItem('ViewId', 'string', 'view1') +
+        '<config:config-item-map-named config:name="Tables">' +
+        sheets.map(sheet =>
+            `<config:config-item-map-entry config:name="${escapeXml(sheet.name)}">` +
+            configItem('VerticalSplitMode', 'short', '2') +
+            configItem('VerticalSplitPosition', 'int', '1') +
+            configItem('ActiveSplitRange', 'short', '2') +
+            configItem('PositionTop', 'int', '0') +
+            configItem('PositionBottom', 'int', '1') +
+            '</config:config-item-map-entry>'
+        ).join('') +
+        '</config:config-item-map-named></config:config-item-map-entry></config:config-item-map-indexed></config:config-item-set>' +
+        '</office:settings></office:document-settings>';
+
+    const manifest = xmlHeader +
+        '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+        '<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="application/vnd.oasis.opendocument.spreadsheet"/>' +
+        '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>' +
+        '<manifest:file-entry manifest:full-path="settings.xml" manifest:media-type="text/xml"/>' +
+        '</manifest:manifest>';
+
+    // The uncompressed "mimetype" entry must come first
+    const zip = await createZipBlob([
+        { name: 'mimetype', content: 'application/vnd.oasis.opendocument.spreadsheet' },
+        { name: 'content.xml', content },
+        { name: 'settings.xml', content: settings },
+        { name: 'META-INF/manifest.xml', content: manifest }
+    ]);
+    return new Blob([zip], { type: 'application/vnd.oasis.opendocument.spreadsheet' });
+}
+
+// Export to a native spreadsheet: format is 'xlsx' or 'ods'
+async function exportToSpreadsheet(format) {
+    if (papers.length === 0) {
+        alert('No papers to export');
+        return;
+    }
+    try {
+        const sheets = buildSpreadsheetWorkbook(papers);
+        const blob = format === 'ods' ? await buildODS(sheets) : await buildXLSX(sheets);
+        downloadFile(blob, `research_papers_${new Date().toISOString().split('T')[0]}.${format}`, blob.type);
+    } catch (error) {
+        console.error('Spreadsheet export error:', error);
+        alert('Error creating the spreadsheet file.');
+    }
+}
+
+// Card templates for the Anki export: what goes on the back, and which note type Anki should use
+const ANKI_TEMPLATES = {
+    keyPoints: { label: 'Key points (abstract when empty)', notetype: 'Basic', back: paper => paper.keyPoints || paper.abstract },
+    abstract: { label: 'Abstract', notetype: 'Basic', back: paper => paper.abstract },
+    both: { label: 'Key points and abstract', notetype: 'Basic', back: paper => [paper.keyPoints, paper.abstract].filter(Boolean).join('\n\n') },
+    reversed: { label: 'Key points, plus a reversed card', notetype: 'Basic (and reversed card)', back: paper => paper.keyPoints || paper.abstract }
+};
+
+// Anki tags cannot contain spaces; "::" nests the chapter tags under one parent
+function ankiTag(text) {
+    return foldToAscii(String(text)).trim().replace(/\s+/g, '_').replace(/[^\w:\-]/g, '');
+}
+
+// One TSV field: HTML with line breaks as <br>, quoted when it contains a quote
+function ankiField(html) {
+    const field = String(html).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+    return field.includes('"') ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+// Anki's tab-separated import format. The GUID column keeps the note ID stable per paper,
+// so importing the file again updates existing notes instead of adding duplicates
+function buildAnkiDeck(paperList, options) {
+    const template = ANKI_TEMPLATES[options.template] || ANKI_TEMPLATES.keyPoints;
+    const lines = [
+        '#separator:tab',
+        '#html:true',
+        `#notetype:${template.notetype}`,
+        `#deck:${(options.deck || 'Research Papers').replace(/[\r\n]/g, ' ')}`,
+        '#guid column:1',
+        '#tags column:4'
+    ];
+    let count = 0;
+
+    paperList.forEach(paper => {
+        const back = template.back(paper);
+        if (!paper.title || !back) return;
+
+        const byline = [paper.authors, paper.year ? `(${paper.year})` : ''].filter(Boolean).join(' ');
+        const front = `<b>${escapeHtml(paper.title)}</b>${byline ? `<br>${escapeHtml(byline)}` : ''}`;
+        const tags = [
+            ...(paper.keywords || '').split(/[,;]/).map(ankiTag),
+            paper.chapter ? `chapter::${ankiTag(paper.chapter)}` : ''
+        ].filter(Boolean);
+
+        lines.push([
+            `research-tracker-${paper.id}`,
+            ankiField(front),
+            ankiField(escapeHtml(back)),
+            ankiField(Array.from(new Set(tags)).join(' '))
+        ].join('\t'));
+        count++;
+    });
+
+    return { content: lines.join('\n') + '\n', count };
+}
+
+// Export an Anki deck, choosing the card template and which reading statuses to include
+function exportToAnki() {
+    if (!papers.some(paper => paper.title)) {
+        alert('No papers with titles to export');
+        return;
+    }
+
+    const statuses = [['read', 'Read'], ['skimmed', 'Skimmed'], ['reading', 'Reading'], ['to-read', 'To Read']];
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3 class="modal-title">🃏 Anki Flashcards</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <div class="modal-field">
+                    <label for="anki-deck">Deck name</label>
+                    <input type="text" id="anki-deck" maxlength="100" value="Research Papers">
+                </div>
+                <div class="modal-field">
+                    <label for="anki-template">Back of the card</label>
+                    <select id="anki-template">
+                        ${Object.entries(ANKI_TEMPLATES).map(([key, template]) => `<option value="${key}">${escapeHtml(template.label)}</option>`).join('')}
+                    </select>
+                </div>
+                <p class="ai-instructions">Include papers with status:</p>
+                ${statuses.map(([status, label]) => `
+                    <label class="settings-option">
+                        <input type="checkbox" name="anki-status" value="${status}" ${status === 'read' ? 'checked' : ''}>
+                        <span>${label}</span>
+                    </label>
+                `).join('')}
+                <p class="storage-note">The front shows title, authors and year. Keywords and chapter become tags. Re-importing the file in Anki updates the same notes.</p>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="confirm">Export</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.getAttribute('data-action') === 'close') {
+            modal.remove();
+            return;
+        }
+        if (e.target.getAttribute('data-action') !== 'confirm') return;
+
+        const selected = Array.from(modal.querySelectorAll('input[name="anki-status"]:checked')).map(box => box.value);
+        const deck = buildAnkiDeck(papers.filter(paper => selected.includes(paper.status)), {
+            template: modal.querySelector('#anki-template').value,
+            deck: modal.querySelector('#anki-deck').value.trim()
+        });
+
+        if (deck.count === 0) {
+            alert('No matching papers have the text needed for the back of the card.');
+            return;
+        }
+        downloadFile(deck.content, `anki_cards_${new Date().toISOString().split('T')[0]}.txt`, 'text/plain;charset=utf-8;');
+        modal.remove();
+    });
+}
+
+const BACKUP_FORMAT = 'Research Paper Tracker Backup';
+const BACKUP_VERSION = 1;
+
+// Hex checksum of a file in a backup; SHA-256 where Web Crypto is available, CRC-32 otherwise
+async function backupChecksum(bytes, algorithm) {
+    if (algorithm === 'SHA-256') {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    return crc32(bytes).toString(16).padStart(8, '0');
+}
+
+// Download one ZIP holding the library, settings, theme and every PDF stored in IndexedDB.
+// manifest.json lists each file with its size and checksum so a restore can verify it
+async function exportFullBackup() {
+    try {
+        const encoder = new TextEncoder();
+        const algorithm = typeof crypto !== 'undefined' && crypto.subtle ? 'SHA-256' : 'CRC-32';
+        const files = [];
+        const addFile = (path, content) => {
+            files.push({ name: path, content: typeof content === 'string' ? encoder.encode(content) : content });
+        };
+
+        addFile('library.json', JSON.stringify({
+            papers: papers.map(paper => ({ ...paper, pdfBlobUrl: null, pdfHandle: null })),
+            nextId: nextId,
+            lastModified: new Date().toISOString()
+        }, null, 2));
+
+        let presets = {};
+        try {
+            presets = JSON.parse(localStorage.getItem(CSV_PRESETS_KEY) || '{}');
+        } catch (error) {
+            console.warn('Skipping unreadable CSV presets:', error);
+        }
+        addFile('settings.json', JSON.stringify({
+            settings: JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}'),
+            theme: localStorage.getItem('research-tracker-theme') || 'default',
+            csvPresets: presets
+        }, null, 2));
+
+        const pdfEntries = [];
+        for (const record of await getAllPDFsFromIndexedDB()) {
+            const blob = record.blob || record.file;
+            if (!blob) continue;
+            const filename = sanitizeFilename(record.filename || '') || `paper-${record.paperId}.pdf`;
+            const path = `pdfs/${record.paperId}/${filename}`;
+            addFile(path, new Uint8Array(await blob.arrayBuffer()));
+            pdfEntries.push({ paperId: record.paperId, filename: record.filename || filename, path, timestamp: record.timestamp || null });
+        }
+
+        const manifest = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            created: new Date().toISOString(),
+            totalPapers: papers.length,
+            checksumAlgorithm: algorithm,
+            files: [],
+            pdfs: pdfEntries
+        };
+        for (const file of files) {
+            manifest.files.push({ path: file.name, size: file.content.length, checksum: await backupChecksum(file.content, algorithm) });
+        }
+
+        const zipBlob = await createZipBlob([{ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) }, ...files]);
+        downloadFile(zipBlob, `research_tracker_backup_${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+    } catch (error) {
+        console.error('Backup error:', error);
+        alert('Error creating the backup. Please try again.');
+    }
+}
+
+// Restore a backup made by exportFullBackup: verifies the checksums, then replaces the library,
+// settings, theme and stored PDFs, and relinks each paper to its restored PDF. The ZIP is read whole
+// rather than streamed like the record imports, since every checksum is checked before anything is replaced
+function restoreFullBackup(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    if (!file.name.toLowerCase().endsWith('.zip')) {
+        alert('Please select a backup ZIP file');
+        event.target.value = '';
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = async function(e) {
+        try {
+            const entries = await readZipEntries(new Uint8Array(e.target.result));
+            const readJSON = path => JSON.parse(new TextDecoder().decode(entries.get(path)));
+
+            if (!entries.has('manifest.json')) {
+                alert('This ZIP is not a Research Paper Tracker backup (manifest.json is missing).');
+                return;
+            }
+            const manifest = readJSON('manifest.json');
+            if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+                alert('This ZIP is not a Research Paper Tracker backup.');
+                return;
+            }
+
+            const problems = [];
+            for (const entry of manifest.files) {
+                const data = entries.get(entry.path);
+                if (!data) {
+                    problems.push(`${entry.path}: missing`);
+                } else if (data.length !== entry.size || await backupChecksum(data, manifest.checksumAlgorithm) !== entry.checksum) {
+                    problems.push(`${entry.path}: checksum mismatch`);
+                }
+            }
+            if (problems.length > 0) {
+                alert(`The backup is damaged and was not restored:\n${problems.slice(0, 10).join('\n')}${problems.length > 10 ? `\n...and ${problems.length - 10} more` : ''}`);
+                return;
+            }
+
+            const library = readJSON('library.json');
+            if (!Array.isArray(library.papers) || typeof library.nextId !== 'number') {
+                alert('The backup library is not in the expected format.');
+                return;
+            }
+
+            const pdfCount = (manifest.pdfs || []).length;
+            if (!confirm(`Restore ${library.papers.length} papers and ${pdfCount} PDFs from a backup made ${new Date(manifest.created).toLocaleString()}? This replaces your current library of ${papers.length} papers, its stored PDFs and your settings.`)) {
+                return;
+            }
+
+            // Load the library through storage.load() so it gets the usual sanitizing
+            const previous = localStorage.getItem(STORAGE_KEY);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+            if (!storage.load()) {
+                if (previous) {
+                    localStorage.setItem(STORAGE_KEY, previous);
+                    storage.load();
+                }
+                alert('The backup library could not be loaded. Your current library was kept.');
+                return;
+            }
+            nextId = Math.max(library.nextId, ...papers.map(paper => paper.id + 1));
+
+            if (entries.has('settings.json')) {
+                const saved = readJSON('settings.json');
+                if (saved.settings && typeof saved.settings === 'object') {
+                    localStorage.setItem(SETTINGS_KEY, JSON.stringify(saved.settings));
+                    await loadSettings();
+                }
+                if (saved.csvPresets && typeof saved.csvPresets === 'object') {
+                    localStorage.setItem(CSV_PRESETS_KEY, JSON.stringify(saved.csvPresets));
+                }
+                if (typeof saved.theme === 'string') {
+                    selectTheme(saved.theme);
+                }
+            }
+
+            await clearPDFsFromIndexedDB();
+            const restoredPDFs = new Map();
+            for (const entry of manifest.pdfs || []) {
+                const data = entries.get(entry.path);
+                const pdfFile = new File([data], entry.filename, { type: 'application/pdf' });
+                if (await storePDFInIndexedDB(entry.paperId, pdfFile, entry.filename)) {
+                    restoredPDFs.set(entry.paperId, entry.filename);
+                }
+            }
+
+            papers.forEach(paper => {
+                if (restoredPDFs.has(paper.id)) {
+                    paper.hasPDF = true;
+                    paper.pdfSource = 'indexeddb';
+                    paper.pdfFilename = restoredPDFs.get(paper.id);
+                } else if (paper.pdfSource === 'indexeddb' || paper.pdfSource === 'local') {
+                    paper.hasPDF = false;
+                    paper.pdfSource = 'none';
+                }
+                paper.pdfBlobUrl = null;
+            });
+
+            showSummary();
+            updateStats();
+            showSummary();
+            storage.save();
+
+            alert(`Restored ${papers.length} papers and ${restoredPDFs.size} PDFs from the backup`);
+        } catch (error) {
+            console.error('Backup restore error:', error);
+            alert('Error restoring the backup. Please check that the file is a complete backup ZIP.');
+        } finally {
+            event.target.value = '';
+        }
+    };
+
+    reader.readAsArrayBuffer(file);
+}
+
+// Fields kept out of the static site unless the exporter opts in
+const SITE_PRIVATE_FIELDS = [
+    ['notes', 'Notes'],
+    ['relevance', 'Relevance'],
+    ['rating', 'Rating'],
+    ['priority', 'Priority']
+];
+
+// Extra rules for the static site, on top of a copy of the app's styles.css
+const SITE_STYLESHEET = `[hidden] { display: none !important; }
+.site-filters { display: flex; flex-wrap: wrap; gap: 10px; align-items: center; }
+.site-filters input, .site-filters select { padding: 8px; border: 1px solid var(--input-border); border-radius: 4px; background: var(--input-bg); color: var(--text-primary); }
+.site-filters input { flex: 1; min-width: 200px; }
+.site-count { color: var(--text-secondary); margin: 0 0 16px; }
+.paper-card a.paper-title { display: block; color: inherit; text-decoration: none; }
+.paper-card a.paper-title:hover { text-decoration: underline; }
+.paper-card-actions a.paper-open-btn { text-decoration: none; display: inline-block; }
+.site-back { color: var(--text-inverse); }
+.site-paper h2 { font-size: 16px; color: var(--accent-color); margin: 20px 0 6px; }
+.site-paper p { line-height: 1.6; white-space: pre-wrap; margin: 0; }
+.site-paper ul { margin: 0; padding-left: 20px; }
+`;
+
+// Client-side search and filtering for the static site's index page
+const SITE_SCRIPT = `(function () {
+    var search = document.getElementById('siteSearch');
+    var status = document.getElementById('siteStatus');
+    var chapter = document.getElementById('siteChapter');
+    var keyword = document.getElementById('siteKeyword');
+    var count = document.getElementById('siteCount');
+    var cards = Array.prototype.slice.call(document.querySelectorAll('#sitePapers .paper-card'));
+
+    function apply() {
+        var terms = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+        var shown = 0;
+        cards.forEach(function (card) {
+            var text = card.getAttribute('data-search');
+            var match = terms.every(function (term) { return text.indexOf(term) !== -1; }) &&
+                (!status.value || card.getAttribute('data-status') === status.value) &&
+                (!chapter.value || card.getAttribute('data-chapter') === chapter.value) &&
+                (!keyword.value || card.getAttribute('data-keywords').split('|').indexOf(keyword.value) !== -1);
+            card.hidden = !match;
+            if (match) shown++;
+        });
+        count.textContent = 'Showing ' + shown + ' of ' + cards.length + ' papers';
+    }
+
+    [search, status, chapter, keyword].forEach(function (control) {
+        control.addEventListener('input', apply);
+        control.addEventListener('change', apply);
+    });
+    apply();
+})();
+`;
+
+// Text of the app's stylesheet, so the exported site keeps the same cards and themes
+async function getAppStylesheetText() {
+    for (const sheet of Array.from(document.styleSheets)) {
+        if (!sheet.href || !sheet.href.endsWith('styles.css')) continue;
+        try {
+            return Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+        } catch (error) {
+            console.warn('Stylesheet rules not readable, fetching styles.css instead:', error);
+        }
+    }
+    try {
+        const response = await fetch('styles.css');
+        if (response.ok) return await response.text();
+    } catch (error) {
+        console.warn('Could not fetch styles.css:', error);
+    }
+    return '';
+}
+
+// File name of a paper's own page: stable id prefix plus a readable slug
+function sitePageName(paper) {
+    const slug = foldToAscii(paper.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 60);
+    return `${paper.id}-${slug || 'paper'}.html`;
+}
+
+// Shared <head> and page header of the static site; root is the relative path back to the site root
+function siteDocument(pageTitle, root, theme, header, body, script) {
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="UTF-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+        `<title>${escapeHtml(pageTitle)}</title>`,
+        `<link rel="stylesheet" href="${root}styles.css">`,
+        `<link rel="stylesheet" href="${root}site.css">`,
+        '</head>',
+        `<body${theme && theme !== 'default' ? ` data-theme="${escapeXml(theme)}"` : ''}>`,
+        '<div class="container">',
+        `<div class="header">${header}</div>`,
+        body,
+        '</div>',
+        script ? `<script src="${root}${script}"></script>` : '',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// Detail page for one paper: citation, abstract, key points, links and any opted-in private fields
+function buildSitePaperPage(paper, options) {
+    const show = field => options.privateFields.includes(field);
+    const section = (heading, content) => (content ? `<h2>${heading}</h2>${content}` : '');
+    const paragraph = text => (text ? `<p>${escapeHtml(text)}</p>` : '');
+
+    const citation = getCitationSegments(paper)
+        .map(segment => (segment.italic ? `<em>${escapeHtml(segment.text)}</em>` : escapeHtml(segment.text)))
+        .join('');
+
+    const links = [];
+    const doi = (paper.doi || '').match(/(10\.\d{4,}\/\S+)$/);
+    if (doi) links.push(['DOI', validateUrl(`https://doi.org/${doi[1]}`)]);
+    else if (validateUrl(paper.doi)) links.push(['Link', validateUrl(paper.doi)]);
+    if (paper.url && paper.url !== paper.doi && validateUrl(paper.url)) links.push(['Web page', validateUrl(paper.url)]);
+    if (paper.pmid) links.push(['PubMed', validateUrl(`https://pubmed.ncbi.nlm.nih.gov/${encodeURIComponent(paper.pmid)}/`)]);
+    if (paper.pmcid) links.push(['PubMed Central', validateUrl(`https://www.ncbi.nlm.nih.gov/pmc/articles/${encodeURIComponent(paper.pmcid)}/`)]);
+    const linkList = links.filter(([, url]) => url)
+        .map(([label, url]) => `<li><a href="${escapeXml(url)}" target="_blank" rel="noopener noreferrer">${label}</a>: ${escapeHtml(url)}</li>`)
+        .join('');
+
+    const keywords = (paper.keywords || '').split(',').map(k => k.trim()).filter(k => k)
+        .map(keyword => `<span class="keyword-tag">${escapeHtml(keyword)}</span>`).join('');
+    const stars = show('rating') && paper.rating ? '★'.repeat(Math.min(parseInt(paper.rating) || 0, 5)) : '';
+
+    const body = `
+<div class="summary-section">
+    <div class="paper-card site-paper">
+        <div class="paper-status-info">
+            <span class="status-badge">${escapeHtml((paper.status || 'to-read').replace('-', ' '))}</span>
+            <div>
+                ${show('priority') ? `<span class="priority-badge">${escapeHtml(paper.priority || 'medium')}</span>` : ''}
+                ${stars ? `<span class="rating-stars">${stars}</span>` : ''}
+            </div>
+        </div>
+        ${paper.authors ? `<div class="paper-authors">${escapeHtml(paper.authors)}</div>` : ''}
+        <div class="paper-year-journal">${paper.year ? escapeHtml(paper.year) : 'Year not specified'}${paper.journal ? ` • ${escapeHtml(paper.journal)}` : ''}${paper.chapter ? ` • ${escapeHtml(paper.chapter)}` : ''}</div>
+        ${keywords ? `<div class="paper-keywords">${keywords}</div>` : ''}
+        ${section('Citation', `<p>${citation}</p>`)}
+        ${section('Abstract', paragraph(paper.abstract))}
+        ${section('Key Points', paragraph(paper.keyPoints))}
+        ${show('relevance') ? section('Relevance', paragraph(paper.relevance)) : ''}
+        ${show('notes') ? section('Notes', paragraph(paper.notes)) : ''}
+        ${section('Links', linkList ? `<ul>${linkList}</ul>` : '')}
+    </div>
+</div>`;
+
+    const header = `<p><a class="site-back" href="../index.html">← ${escapeHtml(options.title)}</a></p><h1>${escapeHtml(paper.title || 'Untitled Paper')}</h1>`;
+    return siteDocument(`${paper.title || 'Untitled Paper'} – ${options.title}`, '../', options.theme, header, body, null);
+}
+
+// Index page: every paper as a card, with search, status, chapter and keyword filters
+function buildSiteIndexPage(paperList, options) {
+    const statuses = [['to-read', 'To Read'], ['reading', 'Reading'], ['read', 'Read'], ['skimmed', 'Skimmed']]
+        .filter(([status]) => paperList.some(paper => (paper.status || 'to-read') === status));
+    const chapters = Array.from(new Set(paperList.map(paper => paper.chapter).filter(Boolean))).sort();
+    const keywords = Array.from(new Set(paperList.flatMap(paper =>
+        (paper.keywords || '').split(',').map(k => k.trim().toLowerCase()).filter(k => k)
+    ))).sort();
+    const selectOptions = (values, allLabel) => `<option value="">${allLabel}</option>` +
+        values.map(([value, label]) => `<option value="${escapeXml(value)}">${escapeHtml(label)}</option>`).join('');
+
+    const cards = paperList
+        .map(paper => buildPaperCardHTML(paper, { site: { href: `papers/${sitePageName(paper)}`, privateFields: options.privateFields } }))
+        .join('');
+
+    const body = `
+<div class="controls site-filters">
+    <input type="search" id="siteSearch" placeholder="Search titles, authors, abstracts..." aria-label="Search papers">
+    <select id="siteStatus" aria-label="Filter by status">${selectOptions(statuses, 'All statuses')}</select>
+    <select id="siteChapter" aria-label="Filter by chapter">${selectOptions(chapters.map(chapter => [chapter, chapter]), 'All chapters')}</select>
+    <select id="siteKeyword" aria-label="Filter by keyword">${selectOptions(keywords.map(keyword => [keyword, keyword]), 'All keywords')}</select>
+</div>
+<div class="summary-section">
+    <p class="site-count" id="siteCount"></p>
+    <div class="papers-grid" id="sitePapers">${cards}</div>
+</div>`;
+
+    const header = `<h1>📚 ${escapeHtml(options.title)}</h1><p>${paperList.length} papers • Updated ${new Date().toISOString().split('T')[0]}</p>`;
+    return siteDocument(options.title, '', options.theme, header, body, 'site.js');
+}
+
+// Export the library as a static site (ZIP): index.html, one page per paper, styles and search script
+function exportStaticSite() {
+    if (!papers.some(paper => paper.title)) {
+        alert('No papers with titles to export');
+        return;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3 class="modal-title">🌐 Static Website</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <div class="modal-field">
+                    <label for="site-title">Site title</label>
+                    <input type="text" id="site-title" maxlength="200" value="Reading List">
+                </div>
+                <p class="ai-instructions">Also publish these private fields:</p>
+                ${SITE_PRIVATE_FIELDS.map(([field, label]) => `
+                    <label class="settings-option">
+                        <input type="checkbox" name="site-private-field" value="${field}">
+                        <span>${escapeHtml(label)}</span>
+                    </label>
+                `).join('')}
+                <p class="storage-note">Title, authors, citation, abstract, key points, keywords, chapter, status and links are always included. PDFs are not.</p>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="confirm">Export</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', async (e) => {
+        if (e.target === modal || e.target.getAttribute('data-action') === 'close') {
+            modal.remove();
+            return;
+        }
+        if (e.target.getAttribute('data-action') !== 'confirm') return;
+
+        const options = {
+            title: modal.querySelector('#site-title').value.trim() || 'Reading List',
+            privateFields: Array.from(modal.querySelectorAll('input[name="site-private-field"]:checked')).map(box => box.value),
+            theme: localStorage.getItem('research-tracker-theme') || 'default'
+        };
+        modal.remove();
+
+        try {
+            const paperList = papers.filter(paper => paper.title);
+            const stylesheet = await getAppStylesheetText();
+            const files = [
+                { name: 'index.html', content: buildSiteIndexPage(paperList, options) },
+                { name: 'styles.css', content: stylesheet },
+                { name: 'site.css', content: SITE_STYLESHEET },
+                { name: 'site.js', content: SITE_SCRIPT },
+                ...paperList.map(paper => ({ name: `papers/${sitePageName(paper)}`, content: buildSitePaperPage(paper, options) }))
+            ];
+            const zipBlob = await createZipBlob(files);
+            downloadFile(zipBlob, `reading_list_site_${new Date().toISOString().split('T')[0]}.zip`, 'application/zip');
+            if (!stylesheet) {
+                alert('The site was exported, but the app stylesheet could not be copied. Put a copy of styles.css next to index.html to restore the card styling.');
+            }
+        } catch (error) {
+            console.error('Static site export error:', error);
+            alert('Error creating the static site.');
+        }
+    });
+}
+
+// Planned read-by date: YYYY-MM-DD when it is a real calendar date, otherwise empty
+function normalizeReadByDate(value) {
+    const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return '';
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toISOString().startsWith(match[0]) ? match[0] : '';
+}
+
+// Reading blocks are stored as text, one "YYYY-MM-DD HH:MM minutes #id" per line. The length may also be
+// written as an end time ("09:00-10:30") and defaults to an hour; the id is optional here and is
+// added by normalizeReadingBlocks. Returns { blocks, errors }
+function parseReadingBlocks(text) {
+    const blocks = [];
+    const errors = [];
+    String(text || '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+        const match = line.match(/^(\d{4}-\d{2}-\d{2})\s+(\d{1,2}):(\d{2})(?:\s*-\s*(\d{1,2}):(\d{2})|\s+(\d+)\s*(?:m|min|mins|minutes)?)?(?:\s+#([0-9A-Za-z-]+))?$/i);
+        if (!match || !normalizeReadByDate(match[1]) || Number(match[2]) > 23 || Number(match[3]) > 59) {
+            errors.push(line);
+            return;
+        }
+        const start = Number(match[2]) * 60 + Number(match[3]);
+        const minutes = match[4] ? Number(match[4]) * 60 + Number(match[5]) - start : Number(match[6] || 60);
+        if (!(minutes > 0 && minutes <= 24 * 60)) {
+            errors.push(line);
+            return;
+        }
+        blocks.push({ date: match[1], start: `${match[2].padStart(2, '0')}:${match[3]}`, minutes, id: match[7] || '' });
+    });
+    return { blocks, errors };
+}
+
+// Canonical stored form of reading blocks: valid lines only, in date order, each with an id.
+// A new block's id comes from the date and time it was first planned for and stays with the block
+// when it is rescheduled, so its calendar event (see buildReadingPlanICS) is updated, not duplicated
+function normalizeReadingBlocks(text) {
+    const blocks = parseReadingBlocks(text).blocks;
+    const used = new Set();
+    const unique = id => {
+        let candidate = id;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${id}-${n}`;
+        used.add(candidate.toLowerCase());
+        return candidate;
+    };
+    // Ids already written win over new ones; a copied line gets a fresh id
+    blocks.forEach(block => {
+        if (block.id) block.id = unique(block.id);
+    });
+    blocks.forEach(block => {
+        if (!block.id) block.id = unique(`${block.date.replace(/-/g, '')}T${block.start.replace(':', '')}`);
+    });
+    return blocks
+        .sort((a, b) => `${a.date} ${a.start}`.localeCompare(`${b.date} ${b.start}`))
+        .map(block => `${block.date} ${block.start} ${block.minutes} #${block.id}`)
+        .join('\n');
+}
+
+// iCalendar TEXT value escaping (RFC 5545 3.3.11)
+function escapeICS(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line at 75 octets, never splitting a UTF-8 character
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        if (size + charSize > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+// One VEVENT per read-by date (all day) and per reading block (floating local time).
+// UIDs are derived from the paper id and each block's stored id, which stays with the block when it
+// is moved, so importing a newer export updates the same events (SEQUENCE makes the newest win)
+function buildReadingPlanICS(paperList) {
+    const pad = number => String(number).padStart(2, '0');
+    const localStamp = date => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+    const now = new Date();
+    const dtstamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    const sequence = Math.floor(now.getTime() / 1000); // Later exports always win
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Research Paper Tracker//Reading Plan//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Reading Plan'
+    ];
+    let count = 0;
+
+    const addEvent = (paper, uid, summary, timing) => {
+        const title = paper.title || 'Untitled Paper';
+        const doi = (paper.doi || '').match(/(10\.\d{4,}\/\S+)$/);
+        const link = doi ? `https://doi.org/${doi[1]}` : getPaperUrl(paper);
+        const description = [title, formatAPA7Citation(paper) || paper.citation, link].filter(Boolean).join('\n\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${uid}`,
+            `DTSTAMP:${dtstamp}`,
+            `SEQUENCE:${sequence}`,
+            ...timing,
+            `SUMMARY:${escapeICS(`${summary}: ${title}`)}`,
+            `DESCRIPTION:${escapeICS(description)}`,
+            ...(link ? [`URL:${link}`] : []),
+            ...(paper.chapter ? [`CATEGORIES:${escapeICS(paper.chapter)}`] : []),
+            'END:VEVENT'
+        );
+        count++;
+    };
+
+    paperList.forEach(paper => {
+        const uidBase = `paper-${paper.id}`;
+
+        if (normalizeReadByDate(paper.readBy)) {
+            const [year, month, day] = paper.readBy.split('-').map(Number);
+            const next = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
+            addEvent(paper, `${uidBase}-read-by@research-paper-tracker`, 'Finish reading', [
+                `DTSTART;VALUE=DATE:${paper.readBy.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${next.replace(/-/g, '')}`,
+                'TRANSP:TRANSPARENT'
+            ]);
+        }
+
+        parseReadingBlocks(normalizeReadingBlocks(paper.readingBlocks)).blocks.forEach(block => {
+            const [year, month, day] = block.date.split('-').map(Number);
+            const [hours, minutes] = block.start.split(':').map(Number);
+            const start = new Date(year, month - 1, day, hours, minutes);
+            const end = new Date(start.getTime() + block.minutes * 60000);
+            addEvent(paper, `${uidBase}-block-${block.id}@research-paper-tracker`, 'Read', [
+                `DTSTART:${localStamp(start)}`,
+                `DTEND:${localStamp(end)}`
+            ]);
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return { content: lines.map(foldICSLine).join('\r\n') + '\r\n', count };
+}
+
+// Export planned read-by dates and reading blocks as an iCalendar file
+function exportReadingPlan() {
+    const plan = buildReadingPlanICS(papers);
+    if (plan.count === 0) {
+        alert('No papers have a read-by date or reading blocks yet. Add them from a paper\'s Edit form.');
+        return;
+    }
+    downloadFile(plan.content, `reading_plan_${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar;charset=utf-8;');
+}
+
+// Let the user pick which papers go into an export
+function showPaperSelectionModal(titleText, confirmLabel, onConfirm) {
+    const exportable = papers.filter(paper => paper.title);
+    if (exportable.length === 0) {
+        alert('No papers with titles to export');
+        return;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3 class="modal-title">${escapeHtml(titleText)}</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <div class="export-selection-toolbar">
+                    <button class="modal-btn modal-btn-secondary" data-action="select-all">Select all</button>
+                    <button class="modal-btn modal-btn-secondary" data-action="select-none">Select none</button>
+                    <span class="export-selection-count"></span>
+                </div>
+                <div class="export-selection-list">
+                    ${exportable.map(paper => `
+                        <label class="export-selection-item">
+                            <input type="checkbox" value="${paper.id}" checked>
+                            <span>
+                                ${escapeHtml(paper.title)}
+                                <span class="export-selection-meta">${escapeHtml([paper.authors, paper.year, paper.chapter].filter(v => v).join(' • '))}</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="confirm">${escapeHtml(confirmLabel)}</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const checkboxes = Array.from(modal.querySelectorAll('.export-selection-list input[type="checkbox"]'));
+    const countLabel = modal.querySelector('.export-selection-count');
+    const updateCount = () => {
+        const selected = checkboxes.filter(box => box.checked).length;
+        countLabel.textContent = `${selected} of ${checkboxes.length} selected`;
+    };
+    updateCount();
+
+    modal.addEventListener('change', updateCount);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            return;
+        }
+        const action = e.target.getAttribute('data-action');
+        if (action === 'close') {
+            modal.remove();
+        } else if (action === 'select-all' || action === 'select-none') {
+            checkboxes.forEach(box => { box.checked = action === 'select-all'; });
+            updateCount();
+        } else if (action === 'confirm') {
+            const selectedIds = checkboxes.filter(box => box.checked).map(box => parseInt(box.value));
+            if (selectedIds.length === 0) {
+                alert('Select at least one paper to export');
+                return;
+            }
+            modal.remove();
+            onConfirm(exportable.filter(paper => selectedIds.includes(paper.id)));
+        }
+    });
+}
+
+// Citation keys. Each paper keeps its key in paper.citeKey once assigned, so exports stay stable
+// after title edits; citeKeyPinned marks keys set by hand (or imported pinned from a tracker JSON
+// export) that regeneration must not touch.
+const CITE_KEY_FIELDS = ['auth', 'authors', 'year', 'title', 'shorttitle', 'veryshorttitle'];
+const CITE_KEY_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'on', 'in', 'at', 'to', 'for', 'from', 'by', 'with', 'and', 'or', 'but',
+    'as', 'is', 'are', 'via', 'into', 'about', 'over', 'under', 'its', 'their', 'towards', 'toward'
+]);
+
+// Reduce text to ASCII so keys work with classic BibTeX (Müller -> Muller, Łukasz -> Lukasz)
+function foldToAscii(text) {
+    const replacements = { 'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O', 'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'þ': 'th', 'Þ': 'Th', 'ı': 'i' };
+    return String(text || '')
+        .replace(/[ßæÆœŒøØłŁđĐðþÞı]/g, char => replacements[char])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+// Strip characters that are not allowed (or not portable) in BibTeX/biber keys
+function sanitizeCiteKey(key) {
+    return foldToAscii(key).replace(/[^A-Za-z0-9_\-:.]/g, '').substring(0, 100);
+}
+
+// Field names in a pattern that formatCiteKey() does not know
+function findUnknownCiteKeyFields(pattern) {
+    const unknown = [];
+    String(pattern || '').replace(/\[([^\]]*)\]/g, (match, spec) => {
+        const name = spec.split(':')[0].trim().toLowerCase();
+        if (!CITE_KEY_FIELDS.includes(name)) unknown.push(name || '(empty)');
+        return match;
+    });
+    return unknown;
+}
+
+// Build a key from a pattern such as "[auth:lower][year][shorttitle:2]".
+// Fields: auth, authors[:N], year, title, shorttitle[:N], veryshorttitle; modifiers: lower, upper.
+// Text outside brackets is copied as-is.
+function formatCiteKey(paper, pattern = citeKeyPattern) {
+    const familyNames = splitAuthorList(paper.authors).map(name => splitPersonName(name).family);
+    const titleWords = foldToAscii(paper.title)
+        .split(/[^A-Za-z0-9]+/)
+        .filter(word => word)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1));
+    const significantWords = titleWords.filter(word => !CITE_KEY_STOP_WORDS.has(word.toLowerCase()));
+
+    const key = String(pattern || DEFAULT_CITE_KEY_PATTERN).replace(/\[([^\]]*)\]/g, (match, spec) => {
+        const [name, ...modifiers] = spec.split(':').map(part => part.trim());
+        const count = modifiers.map(Number).find(number => Number.isInteger(number) && number > 0);
+        let value;
+
+        switch (name.toLowerCase()) {
+            case 'auth':
+                value = familyNames[0] || '';
+                break;
+            case 'authors':
+                value = familyNames.slice(0, count || familyNames.length).join('') +
+                    (count && familyNames.length > count ? 'EtAl' : '');
+                break;
+            case 'year':
+                value = paper.year || '';
+                break;
+            case 'title':
+                value = titleWords.join('');
+                break;
+            case 'shorttitle':
+                value = significantWords.slice(0, count || 3).join('');
+                break;
+            case 'veryshorttitle':
+                value = significantWords[0] || '';
+                break;
+            default:
+                value = '';
+        }
+
+        if (modifiers.includes('lower')) value = value.toLowerCase();
+        if (modifiers.includes('upper')) value = value.toUpperCase();
+        return value;
+    });
+
+    return sanitizeCiteKey(key);
+}
+
+// a, b, ..., z, aa, ab, ... for the n-th duplicate (0-based)
+function citeKeySuffix(index) {
+    let suffix = '';
+    let n = index;
+    do {
+        suffix = String.fromCharCode(97 + (n % 26)) + suffix;
+        n = Math.floor(n / 26) - 1;
+    } while (n >= 0);
+    return suffix;
+}
+
+// Is the key used by any paper other than `exceptPaper`? Keys are compared case-insensitively, like BibTeX does
+function isCiteKeyTaken(key, exceptPaper = null) {
+    const lowerKey = key.toLowerCase();
+    return papers.some(paper => paper !== exceptPaper && paper.citeKey && paper.citeKey.toLowerCase() === lowerKey);
+}
+
+// Generate a key for the paper from the current pattern, adding a/b/c suffixes on collisions.
+// `taken` is an optional Set of lower-cased keys in use, to skip scanning the library per key
+function generateUniqueCiteKey(paper, taken = null) {
+    const isTaken = key => (taken ? taken.has(key.toLowerCase()) : isCiteKeyTaken(key, paper));
+    const base = formatCiteKey(paper) || `paper${paper.id}`;
+    if (!isTaken(base)) return base;
+
+    for (let i = 0; ; i++) {
+        const candidate = base + citeKeySuffix(i);
+        if (!isTaken(candidate)) return candidate;
+    }
+}
+
+// Give each titled paper in paperList that has no key one from the current pattern. Called when
+// papers are loaded, added or imported; returns the number of keys assigned
+function assignMissingCiteKeys(paperList = papers) {
+    const taken = new Set(papers.filter(paper => paper.citeKey).map(paper => paper.citeKey.toLowerCase()));
+    let count = 0;
+    paperList.forEach(paper => {
+        if (paper.citeKey || !paper.title) return;
+        paper.citeKey = generateUniqueCiteKey(paper, taken);
+        paper.citeKeyPinned = false;
+        taken.add(paper.citeKey.toLowerCase());
+        count++;
+    });
+    return count;
+}
+
+// The paper's key for an export. Read-only: a paper still without one (no title yet) gets a
+// provisional key that is not stored
+function getCiteKey(paper) {
+    return paper.citeKey || generateUniqueCiteKey(paper);
+}
+
+// Keep a key that arrives with imported data (BibTeX, CSL-JSON, JSON backup) unless another paper already has it
+function importedCiteKey(key) {
+    const sanitized = sanitizeCiteKey(key);
+    return sanitized && !isCiteKeyTaken(sanitized) ? sanitized : '';
+}
+
+// Set or clear a key by hand. Returns an error message, or '' on success
+function setPaperCiteKey(paper, key, pinned) {
+    const sanitized = sanitizeCiteKey(key);
+    if (sanitized && isCiteKeyTaken(sanitized, paper)) {
+        return `The citation key "${sanitized}" is already used by another paper.`;
+    }
+    if (sanitized !== (paper.citeKey || '')) {
+        paper.citeKey = sanitized;
+        paper.citeKeyPinned = Boolean(sanitized); // A hand-edited key is always pinned
+    } else {
+        paper.citeKeyPinned = Boolean(sanitized) && pinned;
+    }
+    return '';
+}
+
+// Re-create every unpinned key from the current pattern, in library order
+function regenerateCiteKeys() {
+    papers.forEach(paper => {
+        if (!paper.citeKeyPinned) paper.citeKey = '';
+    });
+    const count = assignMissingCiteKeys();
+    storage.save();
+    return count;
+}
+
+// Helper function to escape BibTeX special characters
+function escapeBibTeX(text) {
+    if (!text) return '';
+    const escaped = text
+        .replace(/\\/g, '\\textbackslash{}')
+        .replace(/\{/g, '\\{')
+        .replace(/\}/g, '\\}')
+        .replace(/\$/g, '\\$')
+        .replace(/&/g, '\\&')
+        .replace(/%/g, '\\%')
+        .replace(/#/g, '\\#')
+        .replace(/\^/g, '\\textasciicircum{}')
+        .replace(/_/g, '\\_')
+        .replace(/~/g, '\\textasciitilde{}');
+
+    // biber reads UTF-8 directly; classic BibTeX needs accents as LaTeX commands
+    return bibtexUnicodeOutput ? escaped : unicodeToLatex(escaped);
+}
+
+// LaTeX accent commands <-> Unicode combining marks
+const LATEX_ACCENTS = {
+    '`': '\u0300', "'": '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304', 'u': '\u0306',
+    '.': '\u0307', '"': '\u0308', 'r': '\u030A', 'H': '\u030B', 'v': '\u030C', 'd': '\u0323',
+    'c': '\u0327', 'k': '\u0328', 'b': '\u0331'
+};
+
+// LaTeX text-mode commands for ligatures, special letters and punctuation
+const LATEX_SYMBOLS = {
+    ss: 'ß', SS: 'ẞ', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', o: 'ø', O: 'Ø', aa: 'å', AA: 'Å',
+    l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ', dh: 'ð', DH: 'Ð', th: 'þ', TH: 'Þ', ng: 'ŋ', NG: 'Ŋ',
+    textendash: '–', textemdash: '—', textquoteleft: '‘', textquoteright: '’',
+    textquotedblleft: '“', textquotedblright: '”', guillemotleft: '«', guillemotright: '»',
+    ldots: '…', dots: '…', textellipsis: '…', textbullet: '•', textdegree: '°', textsection: '§',
+    S: '§', P: '¶', copyright: '©', textcopyright: '©', textregistered: '®', texttrademark: '™',
+    pounds: '£', textsterling: '£', euro: '€', texteuro: '€', textbackslash: '\\',
+    textasciitilde: '~', textasciicircum: '^', textunderscore: '_', textbar: '|',
+    textless: '<', textgreater: '>', textquestiondown: '¿', textexclamdown: '¡'
+};
+
+// Text-formatting commands dropped on import, keeping their argument (\textit{in vivo}) or, for
+// declarations, the rest of the group ({\em Drosophila})
+const LATEX_FORMATTING_COMMANDS = new Set([
+    'emph', 'textit', 'textbf', 'textsc', 'textsl', 'textup', 'textmd', 'textrm', 'textsf', 'texttt',
+    'textnormal', 'textsuperscript', 'textsubscript', 'underline', 'mbox', 'hbox', 'nolinkurl', 'NoCaseChange',
+    'em', 'it', 'bf', 'sc', 'sl', 'rm', 'sf', 'tt', 'itshape', 'bfseries', 'scshape', 'slshape', 'upshape',
+    'mdseries', 'rmfamily', 'sffamily', 'ttfamily', 'normalfont'
+]);
+
+// Unicode -> LaTeX for characters that are not a base letter plus accent
+const UNICODE_TO_LATEX_SYMBOLS = {
+    'ß': '{\\ss}', 'å': '{\\aa}', 'Å': '{\\AA}', 'æ': '{\\ae}', 'Æ': '{\\AE}', 'œ': '{\\oe}', 'Œ': '{\\OE}', 'ø': '{\\o}', 'Ø': '{\\O}',
+    'ł': '{\\l}', 'Ł': '{\\L}', 'ı': '{\\i}', 'ð': '{\\dh}', 'Ð': '{\\DH}', 'þ': '{\\th}', 'Þ': '{\\TH}',
+    'ŋ': '{\\ng}', 'Ŋ': '{\\NG}', '–': '--', '—': '---', '‘': '`', '’': "'", '“': '``', '”': "''",
+    '«': '{\\guillemotleft}', '»': '{\\guillemotright}', '…': '{\\ldots}', '•': '{\\textbullet}',
+    '°': '{\\textdegree}', '§': '{\\S}', '¶': '{\\P}', '©': '{\\copyright}', '®': '{\\textregistered}',
+    '™': '{\\texttrademark}', '£': '{\\pounds}', '€': '{\\euro}', '¿': '{\\textquestiondown}',
+    '¡': '{\\textexclamdown}', '\u00A0': '~'
+};
+
+// Decode LaTeX accents, ligatures, dashes and escaped characters to Unicode and drop text-formatting
+// commands. Math ($...$) is left untouched and a \url{...} keeps its address as written;
+// grouping braces are removed by the caller.
+function latexToUnicode(text) {
+    if (!text || !/[\\`'~-]/.test(text)) return text || '';
+
+    return String(text).split(/((?<!\\)\$[^$]*\$|\\url\s*\{[^{}]*\})/).map((part, index) => {
+        if (index % 2 === 1) {
+            // Math segment, or a \url{...} whose address must not be decoded
+            const url = part.match(/^\\url\s*\{([^{}]*)\}$/);
+            return url ? url[1] : part;
+        }
+
+        return part
+            // \href{address}{text} shows only its text
+            .replace(/\\href\s*\{[^{}]*\}/g, '')
+            // \textit{...}, {\em ...}: see LATEX_FORMATTING_COMMANDS
+            .replace(/\\([A-Za-z]+)(?![A-Za-z])\s*/g, (match, name) => (LATEX_FORMATTING_COMMANDS.has(name) ? '' : match))
+            // Accents with a symbol command: \'e, \'{e}, {\"\i}
+            .replace(/\\([`'^~=."])\s*(?:\{\s*(\\[ij]|[A-Za-z])\s*\}|(\\[ij](?![A-Za-z])|[A-Za-z]))/g, (match, accent, braced, bare) => {
+                return applyLatexAccent(accent, braced || bare) || match;
+            })
+            // Accents with a letter command need a brace or a space: \v{c}, \c c, \H{o}
+            .replace(/\\([uvHckrdb])(?:\s*\{\s*(\\[ij]|[A-Za-z])\s*\}|\s+(\\[ij](?![A-Za-z])|[A-Za-z]))/g, (match, accent, braced, bare) => {
+                return applyLatexAccent(accent, braced || bare) || match;
+            })
+            // Ligatures and named symbols: \ss, {\o}, \textendash{}
+            .replace(/\\([A-Za-z]+)(?:\{\}|\s+(?=[A-Za-z]))?/g, (match, name) => {
+                return Object.prototype.hasOwnProperty.call(LATEX_SYMBOLS, name) ? LATEX_SYMBOLS[name] : match;
+            })
+            .replace(/\\([&%$#_{}])/g, '$1')
+            .replace(/---/g, '—')
+            .replace(/--/g, '–')
+            .replace(/``/g, '“')
+            .replace(/''/g, '”')
+            .replace(/(^|[^\\])~/g, '$1 ')
+            .replace(/\\ /g, ' ');
+    }).join('');
+}
+
+// Combine a base letter (or dotless \i, \j) with a LaTeX accent; returns '' for unknown accents
+function applyLatexAccent(accent, base) {
+    const mark = LATEX_ACCENTS[accent];
+    if (!mark) return '';
+    const letter = base === '\\i' ? 'i' : base === '\\j' ? 'j' : base;
+    return (letter + mark).normalize('NFC');
+}
+
+// Encode non-ASCII characters as LaTeX commands so the output works with classic BibTeX
+function unicodeToLatex(text) {
+    if (!text || /^[\x00-\x7F]*$/.test(text)) return text || '';
+
+    const accentCommands = {};
+    Object.keys(LATEX_ACCENTS).forEach(command => {
+        accentCommands[LATEX_ACCENTS[command]] = command;
+    });
+
+    return Array.from(String(text)).map(char => {
+        if (char.charCodeAt(0) < 128) return char;
+        if (UNICODE_TO_LATEX_SYMBOLS[char]) return UNICODE_TO_LATEX_SYMBOLS[char];
+
+        // Base letter plus exactly one known combining accent, e.g. é -> {\'e}, č -> {\v{c}}
+        const decomposed = char.normalize('NFD');
+        if (decomposed.length === 2 && /[A-Za-z]/.test(decomposed[0]) && accentCommands[decomposed[1]]) {
+            const command = accentCommands[decomposed[1]];
+            const base = decomposed[0] === 'i' && command !== 'c' && command !== 'd' && command !== 'b' ? '\\i' : decomposed[0];
+            return /[A-Za-z]/.test(command) ? `{\\${command}{${base}}}` : `{\\${command}${base}}`;
+        }
+        return char; // No LaTeX equivalent; left as UTF-8
+    }).join('');
+}
+
+// RIS reference type <-> tracker itemType
+const RIS_TYPE_MAP = {
+    JOUR: 'article',
+    EJOUR: 'article',
+    MGZN: 'article',
+    NEWS: 'article',
+    CONF: 'inproceedings',
+    CPAPER: 'inproceedings',
+    BOOK: 'book',
+    EBOOK: 'book',
+    CHAP: 'book',
+    ECHAP: 'book',
+    RPRT: 'techreport',
+    THES: 'phdthesis'
+};
+
+const ITEM_TYPE_TO_RIS = {
+    article: 'JOUR',
+    inproceedings: 'CONF',
+    book: 'BOOK',
+    techreport: 'RPRT',
+    phdthesis: 'THES',
+    misc: 'GEN'
+};
+
+// Tracker-only fields are written to RIS custom tags so an export can be re-imported without loss
+const RIS_TRACKER_TAGS = {
+    C1: 'chapter',
+    C2: 'status',
+    C3: 'priority',
+    C4: 'rating',
+    C5: 'relevance',
+    C6: 'keyPoints',
+    C7: 'dateAdded',
+    C8: 'pmcid'
+};
+
+// A line that a RIS reader takes as the start of a new tag ("KW  - ...", "ER  - ")
+const RIS_TAG_LINE = /^[A-Z][A-Z0-9]\s{1,2}-/;
+
+// Build RIS text for a list of papers
+function buildRIS(paperList) {
+    const lines = [];
+
+    paperList.forEach(paper => {
+        if (!paper.title) return; // Skip papers without titles
+
+        const addTag = (tag, value) => {
+            if (value === undefined || value === null || value === '') return;
+            // Multi-line values (abstract, notes) continue on untagged lines. A blank line, an indented
+            // line or one that would read as a tag gets one escape space, which parseRIS strips again
+            const text = String(value).split(/\r?\n/)
+                .map((line, index) => (index > 0 && (line === '' || /^\s/.test(line) || RIS_TAG_LINE.test(line)) ? ` ${line}` : line))
+                .join('\n');
+            lines.push(`${tag}  - ${text}`);
+        };
+
+        addTag('TY', ITEM_TYPE_TO_RIS[paper.itemType] || 'GEN');
+        addTag('TI', paper.title);
+        splitAuthorList(paper.authors).forEach(author => addTag('AU', toLastFirstName(author)));
+        addTag('PY', paper.year);
+        addTag('T2', paper.journal);
+        addTag('VL', paper.volume);
+        addTag('IS', paper.issue);
+
+        if (paper.pages) {
+            const [startPage, endPage] = paper.pages.split(/\s*[-–—]+\s*/);
+            addTag('SP', startPage);
+            addTag('EP', endPage);
+        }
+
+        const doi = paper.doi || '';
+        if (/^10\.\d{4,}/.test(doi)) {
+            addTag('DO', doi);
+        } else if (doi) {
+            addTag('UR', doi);
+        }
+        if (paper.url && paper.url !== doi) {
+            addTag('UR', paper.url);
+        }
+
+        addTag('SN', paper.issn);
+        addTag('AN', paper.pmid);
+        (paper.keywords || '').split(',').map(k => k.trim()).filter(k => k).forEach(keyword => addTag('KW', keyword));
+        addTag('AB', paper.abstract);
+        addTag('N1', paper.notes);
+        if (paper.language && paper.language !== 'en') {
+            addTag('LA', paper.language);
+        }
+
+        Object.entries(RIS_TRACKER_TAGS).forEach(([tag, field]) => addTag(tag, paper[field]));
+
+        lines.push('ER  - ');
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+// Export to RIS format (EndNote, Zotero, Mendeley, Scopus)
+function exportToRIS() {
+    const risContent = buildRIS(papers);
+    downloadFile(risContent, `research_papers_${new Date().toISOString().split('T')[0]}.ris`, 'application/x-research-info-systems;charset=utf-8;');
+}
+
+// Lower-case bare DOI ("10.1000/xyz") from a DOI, doi: prefix or doi.org link; '' when there is none
+function normalizeDOI(value) {
+    const match = String(value || '').match(/10\.\d{4,9}\/[^\s"<>]+/i);
+    return match ? match[0].replace(/[.,;)\]]+$/, '').toLowerCase() : '';
+}
+
+// Title reduced to lower-case letters and digits, so punctuation, case and accents do not matter
+function normalizeTitleKey(title) {
+    return String(title || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Lookup tables for findMatchingPaper, built once per import
+function buildPaperMatchIndex(paperList) {
+    const index = { doi: new Map(), title: new Map() };
+    paperList.forEach(paper => addToPaperMatchIndex(index, paper));
+    return index;
+}
+
+function addToPaperMatchIndex(index, paper) {
+    const doi = normalizeDOI(paper.doi) || normalizeDOI(paper.url);
+    const title = normalizeTitleKey(paper.title);
+    if (doi && !index.doi.has(doi)) index.doi.set(doi, paper);
+    if (title) {
+        if (!index.title.has(title)) index.title.set(title, []);
+        index.title.get(title).push(paper);
+    }
+}
+
+// The indexed paper a record most likely duplicates: same DOI, or same title with no conflicting year.
+// Returns { paper, reason } or null
+function findMatchingPaper(paper, index) {
+    const doi = normalizeDOI(paper.doi) || normalizeDOI(paper.url);
+    if (doi && index.doi.has(doi)) {
+        return { paper: index.doi.get(doi), reason: 'same DOI' };
+    }
+
+    const candidates = index.title.get(normalizeTitleKey(paper.title)) || [];
+    const match = candidates.find(other => !paper.year || !other.year || other.year === paper.year);
+    if (match) {
+        return { paper: match, reason: paper.year && match.year ? 'same title and year' : 'same title' };
+    }
+    return null;
+}
+
+// Paper fields replaced on overwrite and filled on merge; id, date added and PDF attachments stay with the existing paper
+const IMPORT_REVIEW_FIELDS = ['itemType', 'title', 'authors', 'year', 'keywords', 'journal', 'volume', 'issue', 'pages', 'doi', 'issn', 'chapter', 'abstract', 'relevance', 'status', 'priority', 'rating', 'keyPoints', 'notes', 'language', 'citation', 'pdf', 'pmid', 'pmcid', 'citationCount', 'citeKey', 'citeKeyPinned', 'readBy', 'readingBlocks', 'url'];
+
+// Reading-tracker fields (and the user's PDF link) an import only changes when it actually carries
+// them; a format without them (RIS, PubMed...) gets the createImportedPaper defaults, which must not
+// reset the user's own
+const IMPORT_TRACKER_FIELDS = ['relevance', 'status', 'priority', 'rating', 'keyPoints', 'notes', 'readBy', 'readingBlocks', 'pdf'];
+const IMPORT_TRACKER_DEFAULTS = { status: 'to-read', priority: 'medium' };
+
+function importSuppliesField(paper, field) {
+    return Boolean(paper[field]) && paper[field] !== IMPORT_TRACKER_DEFAULTS[field];
+}
+
+// Replace an existing paper's bibliographic fields with an imported version. Tracker fields and the
+// cite key are kept unless the import supplies them, and a PDF reference only comes along when the
+// imported record has one, so an attached PDF is not lost
+function overwritePaperFields(target, source) {
+    IMPORT_REVIEW_FIELDS.forEach(field => {
+        if (field === 'citeKey' || field === 'citeKeyPinned') return;
+        if (IMPORT_TRACKER_FIELDS.includes(field) && !importSuppliesField(source, field)) return;
+        target[field] = source[field];
+    });
+    if (source.citeKey && !isCiteKeyTaken(source.citeKey, target)) {
+        target.citeKey = source.citeKey;
+        target.citeKeyPinned = source.citeKeyPinned;
+    }
+    if (source.hasPDF && !target.hasPDF) {
+        ['hasPDF', 'pdfSource', 'pdfPath', 'pdfFilename'].forEach(field => {
+            target[field] = source[field];
+        });
+    }
+    target.citation = formatAPA7Citation(target);
+}
+
+// Fill the existing paper's empty fields from another version of it; keywords are combined.
+// Returns the number of fields that changed
+function mergePaperFields(target, source) {
+    let changed = 0;
+    IMPORT_REVIEW_FIELDS.forEach(field => {
+        if (field === 'keywords') {
+            const keywords = combineKeywords([target.keywords, source.keywords]);
+            if (keywords !== (target.keywords || '')) {
+                target.keywords = keywords;
+                changed++;
+            }
+        } else if (field === 'citeKeyPinned') {
+            // Follows citeKey below
+        } else if (field === 'citeKey' && source.citeKey && isCiteKeyTaken(source.citeKey, target)) {
+            // Taken by a record added earlier in this import
+        } else if (!target[field] && source[field]) {
+            target[field] = source[field];
+            if (field === 'citeKey') target.citeKeyPinned = source.citeKeyPinned;
+            changed++;
+        }
+    });
+    if (source.hasPDF && !target.hasPDF) {
+        ['hasPDF', 'pdfSource', 'pdfPath', 'pdfFilename'].forEach(field => {
+            target[field] = source[field];
+        });
+        changed++;
+    }
+    if (changed > 0) target.citation = formatAPA7Citation(target);
+    return changed;
+}
+
+// Problems worth a second look before a record is added
+function importRecordWarnings(paper) {
+    const warnings = [];
+    if (!paper.title) warnings.push('no title');
+    if (!paper.authors) warnings.push('no authors');
+    if (!paper.year) {
+        warnings.push('no year');
+    } else if (parseInt(paper.year) > new Date().getFullYear() + 1) {
+        warnings.push(`year ${paper.year} is in the future`);
+    }
+    if (paper.doi && !/^https?:\/\//i.test(paper.doi) && !normalizeDOI(paper.doi)) {
+        warnings.push('DOI does not look like 10.xxxx/...');
+    }
+    return warnings;
+}
+
+// Per-record choices in the import review, with the wording used in its running count
+const IMPORT_REVIEW_ACTIONS = {
+    new: 'Import as new',
+    skip: 'Skip',
+    overwrite: 'Overwrite existing',
+    merge: 'Merge into existing'
+};
+const IMPORT_REVIEW_COUNT_LABELS = { new: 'new', skip: 'skipped', overwrite: 'overwritten', merge: 'merged' };
+
+// Records listed per page in the import review, so a large file does not render thousands of rows
+const IMPORT_REVIEW_PAGE_SIZE = 100;
+
+// Which records each import review filter shows
+const IMPORT_REVIEW_FILTERS = {
+    all: ['Show all records', () => true],
+    new: ['New records (no duplicate found)', candidate => !candidate.match && !candidate.earlier],
+    match: ['Possible duplicates', candidate => Boolean(candidate.match || candidate.earlier)],
+    warning: ['Records with warnings', candidate => candidate.warnings.length > 0]
+};
+
+// Shared dry run for the file importers: list the parsed records with their warnings and likely
+// duplicates, and let the user pick skip / overwrite / merge / import as new per record, or for every
+// record a filter shows (e.g. all new records, all duplicates). The list is paged; choices live on the
+// candidates, not in the rendered rows. Nothing touches the library until the import is confirmed.
+// options.build turns a record into a paper (createImportedPaper plus a citation by default),
+// options.notes is file-level warning text, and options.onCommit(addedPapers) may do follow-up
+// work once the papers are in the library and return extra text for the summary
+function showImportReview(records, options = {}) {
+    const source = options.source || 'file';
+    const build = options.build || (data => {
+        const paper = createImportedPaper(data);
+        paper.citation = formatAPA7Citation(paper);
+        return paper;
+    });
+
+    // Ids are handed out when the import is confirmed, so a cancelled review leaves no gap
+    const firstId = nextId;
+    const libraryIndex = buildPaperMatchIndex(papers);
+    const fileIndex = { doi: new Map(), title: new Map() };
+    const fileRows = new Map();
+    const candidates = records.map((record, index) => {
+        const paper = build(record);
+        const warnings = importRecordWarnings(paper);
+        const match = findMatchingPaper(paper, libraryIndex);
+        const earlier = findMatchingPaper(paper, fileIndex);
+        if (earlier) {
+            warnings.push(`${earlier.reason} as record ${fileRows.get(earlier.paper)} in this file`);
+        }
+        addToPaperMatchIndex(fileIndex, paper);
+        fileRows.set(paper, index + 1);
+        return { paper, warnings, match, earlier: Boolean(earlier), action: match || earlier ? 'skip' : 'new' };
+    });
+    nextId = firstId;
+
+    const matchCount = candidates.filter(candidate => candidate.match).length;
+    const warningCount = candidates.filter(candidate => candidate.warnings.length > 0).length;
+    // Overwrite and merge only apply to records that match an existing paper
+    const allowsAction = (candidate, action) => Boolean(candidate.match) || (action !== 'overwrite' && action !== 'merge');
+    const actionOptions = (candidate) => Object.entries(IMPORT_REVIEW_ACTIONS)
+        .filter(([action]) => allowsAction(candidate, action))
+        .map(([action, label]) => `<option value="${action}" ${candidate.action === action ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    const rowHTML = (candidate, index) => `
+        <div class="export-selection-item import-review-item" data-index="${index}">
+            <span class="import-review-summary">
+                <span class="import-review-title">${index + 1}. ${escapeHtml(candidate.paper.title || 'Untitled Paper')}</span>
+                <span class="export-selection-meta">${escapeHtml([candidate.paper.authors, candidate.paper.year, candidate.paper.journal].filter(v => v).join(' • '))}</span>
+                ${candidate.match ? `<span class="import-review-match">Matches "${escapeHtml(candidate.match.paper.title || 'Untitled Paper')}" (${candidate.match.reason})</span>` : ''}
+                ${candidate.warnings.length > 0 ? `<span class="import-review-warning">⚠️ ${escapeHtml(candidate.warnings.join('; '))}</span>` : ''}
+            </span>
+            <select data-index="${index}" aria-label="Action for record ${index + 1}">${actionOptions(candidate)}</select>
+        </div>
+    `;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3 class="modal-title">Review ${escapeHtml(source)} Import</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <p class="import-review-intro">${records.length} records read • ${matchCount} look like papers already in your library • ${warningCount} with warnings. Nothing is added until you confirm.</p>
+                ${options.notes ? `<div class="import-review-notes">${escapeHtml(options.notes).replace(/\n/g, '<br>')}</div>` : ''}
+                <div class="export-selection-toolbar">
+                    <select id="import-review-filter" aria-label="Show records">
+                        ${Object.entries(IMPORT_REVIEW_FILTERS).map(([filter, [label]]) => `<option value="${filter}">${label}</option>`).join('')}
+                    </select>
+                    <select id="import-review-all" aria-label="Apply to every record in this view">
+                        <option value="">Apply to every record in this view...</option>
+                        ${Object.entries(IMPORT_REVIEW_ACTIONS).map(([action, label]) => `<option value="${action}">${label}</option>`).join('')}
+                    </select>
+                    <span class="export-selection-count"></span>
+                </div>
+                <div class="export-selection-list"></div>
+                <div class="export-selection-toolbar import-review-pager" hidden>
+                    <button class="modal-btn modal-btn-secondary" data-action="previous-page">‹ Previous</button>
+                    <span class="import-review-page"></span>
+                    <button class="modal-btn modal-btn-secondary" data-action="next-page">Next ›</button>
+                </div>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="confirm">Import</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const list = modal.querySelector('.export-selection-list');
+    const pager = modal.querySelector('.import-review-pager');
+    const pageLabel = modal.querySelector('.import-review-page');
+    const filterSelect = modal.querySelector('#import-review-filter');
+    const countLabel = modal.querySelector('.export-selection-count');
+    let shown = [];
+    let page = 0;
+
+    const updateCount = () => {
+        const counts = {};
+        candidates.forEach(candidate => { counts[candidate.action] = (counts[candidate.action] || 0) + 1; });
+        countLabel.textContent = Object.keys(IMPORT_REVIEW_ACTIONS)
+            .filter(action => counts[action])
+            .map(action => `${counts[action]} ${IMPORT_REVIEW_COUNT_LABELS[action]}`)
+            .join(' • ');
+    };
+
+    const renderPage = () => {
+        const pageCount = Math.max(1, Math.ceil(shown.length / IMPORT_REVIEW_PAGE_SIZE));
+        page = Math.min(page, pageCount - 1);
+        const first = page * IMPORT_REVIEW_PAGE_SIZE;
+        list.innerHTML = shown.length > 0
+            ? shown.slice(first, first + IMPORT_REVIEW_PAGE_SIZE).map(index => rowHTML(candidates[index], index)).join('')
+            : '<div class="export-selection-item">No records in this view</div>';
+        list.scrollTop = 0;
+        pager.hidden = pageCount === 1;
+        pageLabel.textContent = `Records ${first + 1}–${Math.min(first + IMPORT_REVIEW_PAGE_SIZE, shown.length)} of ${shown.length} • page ${page + 1} of ${pageCount}`;
+        pager.querySelector('[data-action="previous-page"]').disabled = page === 0;
+        pager.querySelector('[data-action="next-page"]').disabled = page === pageCount - 1;
+    };
+
+    const applyFilter = () => {
+        const [, accepts] = IMPORT_REVIEW_FILTERS[filterSelect.value];
+        shown = candidates.map((candidate, index) => index).filter(index => accepts(candidates[index]));
+        page = 0;
+        renderPage();
+    };
+    applyFilter();
+    updateCount();
+
+    modal.addEventListener('change', (e) => {
+        if (e.target.id === 'import-review-filter') {
+            applyFilter();
+        } else if (e.target.id === 'import-review-all' && e.target.value) {
+            // Every record in the view, on all pages; overwrite and merge skip records without a match
+            shown.forEach(index => {
+                if (allowsAction(candidates[index], e.target.value)) candidates[index].action = e.target.value;
+            });
+            e.target.value = '';
+            renderPage();
+        } else if (e.target.matches('select[data-index]')) {
+            candidates[parseInt(e.target.getAttribute('data-index'))].action = e.target.value;
+        }
+        updateCount();
+    });
+
+    modal.addEventListener('click', async (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            return;
+        }
+        const action = e.target.getAttribute('data-action');
+        if (action === 'close') {
+            modal.remove();
+            return;
+        }
+        if (action === 'previous-page' || action === 'next-page') {
+            page += action === 'next-page' ? 1 : -1;
+            renderPage();
+            return;
+        }
+        if (action !== 'confirm') return;
+
+        modal.remove();
+
+        const added = [];
+        const counts = { new: 0, overwrite: 0, merge: 0, skip: 0 };
+        const takenKeys = new Set(papers.filter(paper => paper.citeKey).map(paper => paper.citeKey.toLowerCase()));
+        candidates.forEach(candidate => {
+            const choice = candidate.action;
+            if (choice === 'new') {
+                // Keys were checked against the library when the file was read; one added earlier
+                // in this batch may have taken it since. A cleared key is assigned below
+                if (candidate.paper.citeKey && takenKeys.has(candidate.paper.citeKey.toLowerCase())) {
+                    candidate.paper.citeKey = '';
+                    candidate.paper.citeKeyPinned = false;
+                }
+                if (candidate.paper.citeKey) takenKeys.add(candidate.paper.citeKey.toLowerCase());
+                candidate.paper.id = nextId++;
+                papers.push(candidate.paper);
+                added.push(candidate.paper);
+            } else if (choice !== 'skip') {
+                if (choice === 'overwrite') {
+                    overwritePaperFields(candidate.match.paper, candidate.paper);
+                } else {
+                    mergePaperFields(candidate.match.paper, candidate.paper);
+                }
+                // The existing paper may have taken the imported key
+                if (candidate.match.paper.citeKey) takenKeys.add(candidate.match.paper.citeKey.toLowerCase());
+            }
+            counts[choice]++;
+        });
+        assignMissingCiteKeys(added);
+
+        let extra = '';
+        try {
+            if (options.onCommit && added.length > 0) {
+                extra = (await options.onCommit(added)) || '';
+            }
+        } finally {
+            if (counts.skip < candidates.length) {
+                showSummary();
+                updateStats();
+                showSummary();
+                storage.save();
+            }
+        }
+
+        const lines = [
+            counts.new > 0 ? `• ${counts.new} added` : '',
+            counts.overwrite > 0 ? `• ${counts.overwrite} overwritten` : '',
+            counts.merge > 0 ? `• ${counts.merge} merged` : '',
+            counts.skip > 0 ? `• ${counts.skip} skipped` : ''
+        ].filter(line => line);
+        alert(`Import from ${source} finished:\n${lines.join('\n')}${extra}`);
+    });
+}
+
+// Keyword lists combined without repeats (case-insensitive), in first-seen order
+function combineKeywords(lists) {
+    const keywords = [];
+    const seen = new Set();
+    lists.forEach(list => {
+        String(list || '').split(/[,;]/).map(k => k.trim()).filter(k => k).forEach(keyword => {
+            if (seen.has(keyword.toLowerCase())) return;
+            seen.add(keyword.toLowerCase());
+            keywords.push(keyword);
+        });
+    });
+    return keywords.join(', ');
+}
+
+// arXiv identifier without version ("1706.03762", "hep-th/9901001") from a DOI, URL or journal field; '' if none
+function extractArxivId(...values) {
+    for (const value of values) {
+        const match = String(value || '').match(/(?:arxiv\.org\/(?:abs|pdf)\/|arxiv[:.]\s*)(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})/i);
+        if (match) return match[1].toLowerCase();
+    }
+    return '';
+}
+
+// Lower-case surname of the first author, for "Yann LeCun, ..." and "LeCun, Yann, ..." alike
+function firstAuthorKey(authors) {
+    const first = String(authors || '').split(/;|\band\b|,/)[0].trim();
+    const words = first.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/\s+/).filter(w => /[a-z]/.test(w));
+    return words.length > 0 ? words[words.length - 1].replace(/[^a-z-]/g, '') : '';
+}
+
+// Character pairs of a normalised title, for the Dice similarity below
+function titleBigrams(titleKey) {
+    const text = titleKey.replace(/ /g, '');
+    const bigrams = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+        bigrams.add(text.substring(i, i + 2));
+    }
+    return bigrams;
+}
+
+function diceSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(bigram => {
+        if (b.has(bigram)) shared++;
+    });
+    return (2 * shared) / (a.size + b.size);
+}
+
+// Titles at least this similar count as the same paper when year and first author do not disagree
+const DUPLICATE_TITLE_THRESHOLD = 0.85;
+
+// Groups of papers that are probably the same work: same normalised DOI, same arXiv ID, or a similar
+// title with matching (or missing) year and first author. Returns [{ papers, reasons }], oldest record first
+function findDuplicateGroups(paperList) {
+    const parent = new Map(paperList.map(paper => [paper, paper]));
+    const find = paper => {
+        while (parent.get(paper) !== paper) {
+            parent.set(paper, parent.get(parent.get(paper)));
+            paper = parent.get(paper);
+        }
+        return paper;
+    };
+    const links = [];
+    const link = (a, b, reason) => {
+        parent.set(find(a), find(b));
+        links.push([a, reason]);
+    };
+
+    const byDOI = new Map();
+    const byArxiv = new Map();
+    const entries = [];
+    paperList.forEach(paper => {
+        const doi = normalizeDOI(paper.doi) || normalizeDOI(paper.url);
+        const arxiv = extractArxivId(paper.doi, paper.url, paper.journal, paper.pdf);
+        if (doi) {
+            if (byDOI.has(doi)) link(paper, byDOI.get(doi), 'same DOI');
+            else byDOI.set(doi, paper);
+        }
+        if (arxiv) {
+            if (byArxiv.has(arxiv)) link(paper, byArxiv.get(arxiv), 'same arXiv ID');
+            else byArxiv.set(arxiv, paper);
+        }
+        const titleKey = normalizeTitleKey(paper.title);
+        if (titleKey) {
+            entries.push({ paper, bigrams: titleBigrams(titleKey), year: paper.year, author: firstAuthorKey(paper.authors) });
+        }
+    });
+
+    for (let i = 0; i < entries.length; i++) {
+        const a = entries[i];
+        for (let j = i + 1; j < entries.length; j++) {
+            const b = entries[j];
+            if (a.year && b.year && a.year !== b.year) continue;
+            if (a.author && b.author && a.author !== b.author) continue;
+            // Dice can't reach the threshold when the pair counts are too far apart
+            const smaller = Math.min(a.bigrams.size, b.bigrams.size);
+            const larger = Math.max(a.bigrams.size, b.bigrams.size);
+            if ((2 * smaller) / (smaller + larger) < DUPLICATE_TITLE_THRESHOLD) continue;
+
+            const similarity = diceSimilarity(a.bigrams, b.bigrams);
+            if (similarity >= DUPLICATE_TITLE_THRESHOLD) {
+                link(a.paper, b.paper, similarity === 1 ? 'same title' : `similar title (${Math.round(similarity * 100)}%)`);
+            }
+        }
+    }
+
+    const groups = new Map();
+    paperList.forEach(paper => {
+        const root = find(paper);
+        if (!groups.has(root)) groups.set(root, { papers: [], reasons: new Set() });
+        groups.get(root).papers.push(paper);
+    });
+    links.forEach(([paper, reason]) => groups.get(find(paper)).reasons.add(reason));
+
+    return Array.from(groups.values())
+        .filter(group => group.papers.length > 1)
+        .map(group => ({ papers: group.papers.sort((a, b) => a.id - b.id), reasons: Array.from(group.reasons) }));
+}
+
+// Fields picked one by one when merging duplicates; keywords and notes are combined instead
+const DUPLICATE_MERGE_FIELDS = [
+    ['itemType', 'Item Type'], ['title', 'Title'], ['authors', 'Authors'], ['year', 'Year'],
+    ['journal', 'Journal/Venue'], ['volume', 'Volume'], ['issue', 'Issue'], ['pages', 'Pages'],
+    ['doi', 'DOI/URL'], ['url', 'URL'], ['issn', 'ISSN'], ['chapter', 'Chapter/Topic'],
+    ['abstract', 'Abstract'], ['relevance', 'Relevance'], ['status', 'Status'], ['priority', 'Priority'],
+    ['rating', 'Rating'], ['dateAdded', 'Date Added'], ['keyPoints', 'Key Points'], ['language', 'Language'],
+    ['pdf', 'PDF Link'], ['pmid', 'PMID'], ['pmcid', 'PMCID'],
+    ['citationCount', 'Times Cited'], ['citeKey', 'Cite Key'], ['readBy', 'Read By'], ['readingBlocks', 'Reading Blocks']
+];
+
+// Notes from several records, each kept once
+function combineNotes(notes) {
+    return Array.from(new Set(notes.map(note => String(note || '').trim()).filter(note => note))).join('\n\n');
+}
+
+// Merge a duplicate group into the record at choices.keep: fields come from the records picked in
+// choices.fields, keywords and notes are combined, the PDF of choices.pdf (moved in IndexedDB if needed)
+// is kept, and the other records are deleted. Without a choice a kept record that has no PDF takes
+// the first one in the group, so a stored PDF is never deleted while the kept record is left without one.
+// The citation is rebuilt from the merged fields. Returns false if the PDF could not be moved
+async function mergeDuplicatePapers(group, choices) {
+    const survivor = group[choices.keep];
+    const removed = group.filter(paper => paper !== survivor);
+
+    const pdfPaper = choices.pdf !== null && choices.pdf !== undefined ? group[choices.pdf]
+        : (survivor.hasPDF ? null : group.find(paper => paper.hasPDF) || null);
+    if (pdfPaper && pdfPaper !== survivor) {
+        if (pdfPaper.pdfSource === 'indexeddb') {
+            const stored = await getPDFFromIndexedDB(pdfPaper.id);
+            if (!stored || !(await storePDFInIndexedDB(survivor.id, stored.file || stored.blob, stored.filename))) {
+                return false;
+            }
+        } else if (survivor.pdfSource === 'indexeddb') {
+            await removePDFFromIndexedDB(survivor.id);
+        }
+        ['hasPDF', 'pdfSource', 'pdfPath', 'pdfFilename', 'pdfBlobUrl', 'pdfHandle'].forEach(field => {
+            survivor[field] = pdfPaper[field];
+        });
+    }
+
+    DUPLICATE_MERGE_FIELDS.forEach(([field]) => {
+        const source = group[choices.fields[field]];
+        survivor[field] = source[field];
+        if (field === 'citeKey') survivor.citeKeyPinned = source.citeKeyPinned;
+    });
+    survivor.keywords = combineKeywords(group.map(paper => paper.keywords));
+    survivor.notes = combineNotes(group.map(paper => paper.notes));
+    survivor.citation = formatAPA7Citation(survivor);
+
+    for (const paper of removed) {
+        if (paper.pdfSource === 'indexeddb') {
+            await removePDFFromIndexedDB(paper.id);
+        }
+    }
+    papers = papers.filter(paper => !removed.includes(paper));
+
+    showSummary();
+    updateStats();
+    showSummary();
+    storage.save();
+    return true;
+}
+
+// Short cell text for the side-by-side merge table
+function duplicateMergeValue(value) {
+    const text = String(value || '');
+    return text.length > 200 ? `${text.substring(0, 200)}…` : text;
+}
+
+// Side-by-side view of one duplicate group: pick the record to keep and each field's value, then merge
+function showDuplicateMergeModal(group, onMerged) {
+    const list = group.papers;
+    // Default to the oldest record and, per field, the first record that has a value
+    const firstWithValue = field => Math.max(0, list.findIndex(paper => paper[field]));
+    const pdfOwners = list.map((paper, index) => (paper.hasPDF ? index : -1)).filter(index => index >= 0);
+
+    const differing = DUPLICATE_MERGE_FIELDS.filter(([field]) => new Set(list.map(paper => String(paper[field] || ''))).size > 1);
+    const sameCount = DUPLICATE_MERGE_FIELDS.length - differing.length;
+    const radioRow = (name, label, cells) => `
+        <tr>
+            <th>${label}</th>
+            ${cells.map(cell => `<td>${cell}</td>`).join('')}
+        </tr>
+    `;
+    const radio = (name, index, checked, text) => `<label class="duplicate-merge-choice"><input type="radio" name="${name}" value="${index}" ${checked ? 'checked' : ''}> ${text}</label>`;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal modal-wide">
+            <div class="modal-header">
+                <h3 class="modal-title">Merge ${list.length} Records</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <p class="import-review-intro">Matched by ${escapeHtml(group.reasons.join(', '))}. Pick the value to keep for each field that differs${sameCount > 0 ? ` (${sameCount} other fields are identical)` : ''}. Keywords and notes from all records are combined and the citation is rebuilt; the other records are deleted.</p>
+                <div class="duplicate-merge-scroll">
+                    <table class="csv-mapping-table duplicate-merge-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                ${list.map((paper, index) => `<th>Record ${index + 1}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${radioRow('merge-keep', 'Keep record', list.map((paper, index) => radio('merge-keep', index, index === 0, `#${paper.id}, added ${escapeHtml(paper.dateAdded || '?')}`)))}
+                            ${differing.map(([field, label]) => radioRow(`merge-${field}`, label, list.map((paper, index) => (
+                                radio(`merge-${field}`, index, index === firstWithValue(field), paper[field] ? escapeHtml(duplicateMergeValue(paper[field])) : '<em>empty</em>')
+                            )))).join('')}
+                            ${pdfOwners.length > 0 ? radioRow('merge-pdf', 'PDF', list.map((paper, index) => (
+                                paper.hasPDF ? radio('merge-pdf', index, index === pdfOwners[0], `📎 ${escapeHtml(paper.pdfFilename || paper.pdfPath || 'Attached')}`) : '<em>none</em>'
+                            ))) : ''}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="import-review-warning duplicate-merge-pdf-warning" hidden></p>
+                <div class="modal-field">
+                    <label>Keywords (combined)</label>
+                    <div class="duplicate-merge-combined">${escapeHtml(combineKeywords(list.map(paper => paper.keywords))) || '<em>none</em>'}</div>
+                </div>
+                <div class="modal-field">
+                    <label>Notes (combined)</label>
+                    <div class="duplicate-merge-combined">${escapeHtml(combineNotes(list.map(paper => paper.notes))).replace(/\n/g, '<br>') || '<em>none</em>'}</div>
+                </div>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="merge">Merge Records</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const checkedIndex = name => {
+        const input = modal.querySelector(`input[name="${name}"]:checked`);
+        return input ? parseInt(input.value) : null;
+    };
+
+    // PDFs of the records not picked in the PDF row go when their records are deleted
+    const droppedPDFOwners = () => pdfOwners.filter(index => index !== checkedIndex('merge-pdf'));
+    const pdfWarning = modal.querySelector('.duplicate-merge-pdf-warning');
+    const updatePDFWarning = () => {
+        const dropped = droppedPDFOwners().map(index => {
+            const paper = list[index];
+            const name = paper.pdfFilename || paper.pdfPath || 'PDF';
+            return paper.pdfSource === 'indexeddb'
+                ? `the stored PDF of record ${index + 1} (${name}) will be deleted`
+                : `the PDF link of record ${index + 1} (${name}) will be dropped`;
+        });
+        pdfWarning.hidden = dropped.length === 0;
+        pdfWarning.textContent = dropped.length > 0 ? `⚠️ Only the selected PDF is kept: ${dropped.join('; ')}.` : '';
+    };
+    updatePDFWarning();
+    modal.addEventListener('change', (e) => {
+        if (e.target.name === 'merge-pdf') updatePDFWarning();
+    });
+
+    modal.addEventListener('click', async (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            return;
+        }
+        const action = e.target.getAttribute('data-action');
+        if (action === 'close') {
+            modal.remove();
+            return;
+        }
+        if (action !== 'merge') return;
+
+        const choices = { keep: checkedIndex('merge-keep'), fields: {}, pdf: pdfOwners.length > 0 ? checkedIndex('merge-pdf') : null };
+        DUPLICATE_MERGE_FIELDS.forEach(([field]) => {
+            const picked = checkedIndex(`merge-${field}`);
+            choices.fields[field] = picked === null ? firstWithValue(field) : picked;
+        });
+
+        const droppedPDFs = droppedPDFOwners().length;
+        const warning = droppedPDFs > 0 ? `\n\n${droppedPDFs} other attached PDF(s) will be removed.` : '';
+        if (!confirm(`Merge into record #${list[choices.keep].id} and delete the other ${list.length - 1}?${warning}`)) {
+            return;
+        }
+
+        modal.remove();
+        if (await mergeDuplicatePapers(list, choices)) {
+            onMerged();
+        } else {
+            alert('The selected PDF could not be moved to the kept record, so nothing was merged.');
+        }
+    });
+}
+
+// List probable duplicate groups in the library, each with a merge action
+function showDuplicateFinder() {
+    if (papers.length < 2) {
+        alert('Add at least two papers to look for duplicates.');
+        return;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3 class="modal-title">Duplicate Papers</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <p class="import-review-intro"></p>
+                <div class="export-selection-list"></div>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Close</button>
+            </div>
+        </div>
+    `;
+
+    let groups = [];
+    const render = () => {
+        groups = findDuplicateGroups(papers);
+        modal.querySelector('.import-review-intro').textContent = groups.length > 0
+            ? `${groups.length} group(s) of records look like the same paper (same DOI or arXiv ID, or a similar title with the same year and first author).`
+            : 'No duplicates found.';
+        modal.querySelector('.export-selection-list').innerHTML = groups.map((group, index) => `
+            <div class="export-selection-item duplicate-group">
+                <span class="import-review-summary">
+                    <span class="import-review-match">${escapeHtml(group.reasons.join(', '))}</span>
+                    ${group.papers.map(paper => `
+                        <span class="duplicate-group-paper">#${paper.id} ${escapeHtml(paper.title || 'Untitled Paper')}${paper.hasPDF ? ' 📎' : ''}
+                            <span class="export-selection-meta">${escapeHtml([paper.authors, paper.year, paper.journal, paper.doi].filter(v => v).join(' • '))}</span>
+                        </span>
+                    `).join('')}
+                </span>
+                <button class="modal-btn modal-btn-secondary" data-action="merge" data-group="${index}">Review &amp; Merge</button>
+            </div>
+        `).join('');
+    };
+
+    render();
+    if (groups.length === 0) {
+        alert('No duplicates found.');
+        return;
+    }
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            return;
+        }
+        const action = e.target.getAttribute('data-action');
+        if (action === 'close') {
+            modal.remove();
+        } else if (action === 'merge') {
+            showDuplicateMergeModal(groups[parseInt(e.target.getAttribute('data-group'))], render);
+        }
+    });
+}
+
+// Largest file the importers accept; parsing streams, so this only bounds the records kept in memory
+const MAX_IMPORT_FILE_SIZE = 100 * 1024 * 1024;
+// Bytes read per step when streaming an import file, and parsed items per batch sent back
+const IMPORT_CHUNK_SIZE = 1024 * 1024;
+const IMPORT_BATCH_SIZE = 500;
+
+// Offset just past the last match of a global regex in text, or 0
+function endOfLastMatch(text, pattern) {
+    let end = 0;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(text)) !== null) {
+        end = match.index + match[0].length;
+    }
+    return end;
+}
+
+// Stream parser for formats made of self-contained records: text is parsed up to the end of the
+// last complete record (lastRecordEnd returns that offset) and the rest waits for the next chunk
+function createRecordImportStream(lastRecordEnd, parse) {
+    let buffer = '';
+    return {
+        push(text) {
+            buffer += text;
+            const end = lastRecordEnd(buffer);
+            if (end <= 0) return [];
+            const complete = buffer.substring(0, end);
+            buffer = buffer.substring(end);
+            return parse(complete);
+        },
+        end() {
+            return buffer.trim() ? parse(buffer) : [];
+        },
+        summary() {
+            return {};
+        }
+    };
+}
+
+// Stream parser for formats that need the whole text at once: a BibTeX crossref can name an entry
+// further down the file, and a JSON document only parses as a whole. Reading still shows progress
+// and can be cancelled; parse returns { items, summary }
+function createWholeFileImportStream(parse) {
+    const chunks = [];
+    let summary = {};
+    return {
+        push(text) {
+            chunks.push(text);
+            return [];
+        },
+        end() {
+            const result = parse(chunks.join(''));
+            summary = result.summary || {};
+            return result.items;
+        },
+        summary() {
+            return summary;
+        }
+    };
+}
+
+// Stream parser for CSV: raw rows for the column mapping step, or paper records when the header
+// shows a Web of Science / Scopus export (required when databaseOnly is set)
+function createCSVImportStream(databaseOnly = false) {
+    let head = '';
+    let tokenizer = null;
+    let format = null;
+    let headers = null;
+    const skipped = [];
+
+    const start = (text) => {
+        format = detectDatabaseExportFormat(text);
+        if (!format && databaseOnly) {
+            throw new Error('This file does not look like a Web of Science tab-delimited or Scopus CSV export.');
+        }
+        // WoS tab-delimited files use no quoting, so quote characters are ordinary text there
+        tokenizer = format === 'wos'
+            ? createCSVTokenizer({ delimiter: '\t', quotes: false })
+            : createCSVTokenizer({ delimiter: format === 'scopus' ? ',' : detectCSVDelimiter(text) });
+    };
+
+    // Called straight after each tokenizer push/end, while recordLines still matches rows
+    const toItems = (rows) => {
+        if (!format) return rows;
+        const records = [];
+        rows.forEach((values, index) => {
+            if (!headers) {
+                headers = values.map(header => header.trim());
+                return;
+            }
+            const result = databaseExportRowToPaperData(format, headers, values);
+            if (result.paper) records.push(result.paper);
+            if (result.reason) skipped.push({ line: tokenizer.recordLines[index], reason: result.reason });
+        });
+        return records;
+    };
+
+    return {
+        push(text) {
+            if (!tokenizer) {
+                // The header line decides the format and delimiter
+                head += text;
+                if (!/[\r\n]/.test(head)) return [];
+                text = head;
+                head = '';
+                start(text);
+            }
+            return toItems(tokenizer.push(text));
+        },
+        end() {
+            if (!tokenizer) {
+                start(head);
+                const items = toItems(tokenizer.push(head));
+                return items.concat(toItems(tokenizer.end()));
+            }
+            return toItems(tokenizer.end());
+        },
+        summary() {
+            if (!format) return { errors: tokenizer.errors };
+            return {
+                source: format === 'wos' ? 'Web of Science' : 'Scopus',
+                skipped: tokenizer.errors.map(error => ({ line: error.line, reason: 'malformed CSV record' })).concat(skipped)
+            };
+        }
+    };
+}
+
+// Stream parser factory per import format, used by streamImportFile
+const IMPORT_STREAM_PARSERS = {
+    csv: () => createCSVImportStream(),
+    database: () => createCSVImportStream(true),
+    bibtex: () => createWholeFileImportStream(text => {
+        const { papers: items, warnings } = parseBibTeX(text);
+        return { items, summary: { warnings } };
+    }),
+    ris: () => createRecordImportStream(text => endOfLastMatch(text, /^ER {1,2}-.*$/gm), parseRIS),
+    // A blank line ends a MEDLINE record
+    medline: () => createRecordImportStream(text => endOfLastMatch(text, /\r?\n[ \t]*\r?\n/g), parseMEDLINE),
+    endnote: () => createRecordImportStream(text => endOfLastMatch(text, /<\/record>/g), parseEndNoteXML),
+    json: () => createWholeFileImportStream(text => {
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.papers)) {
+            throw new Error('Invalid JSON format. Expected "papers" array.');
+        }
+        return { items: data.papers.filter(paperData => paperData && typeof paperData === 'object') };
+    }),
+    csljson: () => createWholeFileImportStream(text => ({ items: parseCSLJSON(text) }))
+};
+
+// Read a file in chunks through its format's stream parser. post() receives
+// { type: 'progress', loaded, total }, { type: 'batch', items } and finally { type: 'done', summary }.
+// Runs in import-worker.js, or on the page when workers are unavailable; shouldContinue() lets the page stop it
+async function streamImportFile(file, format, post, shouldContinue = () => true) {
+    const parser = IMPORT_STREAM_PARSERS[format]();
+    const decoder = new TextDecoder('utf-8');
+    let pending = [];
+
+    const send = (items, flush) => {
+        pending = pending.concat(items);
+        while (pending.length >= IMPORT_BATCH_SIZE || (flush && pending.length > 0)) {
+            post({ type: 'batch', items: pending.splice(0, IMPORT_BATCH_SIZE) });
+        }
+    };
+
+    for (let offset = 0; offset < file.size; offset += IMPORT_CHUNK_SIZE) {
+        const bytes = await file.slice(offset, offset + IMPORT_CHUNK_SIZE).arrayBuffer();
+        if (!shouldContinue()) return;
+        send(parser.push(decoder.decode(bytes, { stream: true })), false);
+        post({ type: 'progress', loaded: Math.min(offset + IMPORT_CHUNK_SIZE, file.size), total: file.size });
+        // Let the page repaint between chunks when this runs on the main thread
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    send(parser.push(decoder.decode()), false);
+    send(parser.end(), true);
+    post({ type: 'done', summary: parser.summary() });
+}
+
+// Parse an import file in import-worker.js behind a progress bar with a Cancel button.
+// Resolves to { items, summary } with the batches joined, or null when cancelled.
+// Falls back to parsing on the page when a worker can't be started (e.g. index.html opened from disk)
+function parseImportFile(file, format, label) {
+    return new Promise((resolve, reject) => {
+        const items = [];
+        let worker = null;
+        let started = false;
+        let finished = false;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal">
+                <div class="modal-header">
+                    <h3 class="modal-title">Importing ${escapeHtml(label)}</h3>
+                </div>
+                <div class="modal-content import-progress">
+                    <p>${escapeHtml(file.name)}</p>
+                    <progress max="100" value="0"></progress>
+                    <p class="import-progress-status">Reading file...</p>
+                </div>
+                <div class="modal-actions">
+                    <button class="modal-btn modal-btn-secondary" data-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const bar = modal.querySelector('progress');
+        const status = modal.querySelector('.import-progress-status');
+        let percent = 0;
+
+        const finish = () => {
+            finished = true;
+            if (worker) worker.terminate();
+            modal.remove();
+        };
+
+        const handleMessage = (message) => {
+            if (finished) return;
+            if (message.type === 'progress') {
+                percent = Math.round((message.loaded / message.total) * 100);
+                bar.value = percent;
+            } else if (message.type === 'batch') {
+                for (const item of message.items) items.push(item);
+            } else if (message.type === 'done') {
+                finish();
+                resolve({ items, summary: message.summary });
+                return;
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+                return;
+            }
+            status.textContent = `${percent}% read • ${items.length} ${format === 'csv' ? 'rows' : 'records'} so far`;
+        };
+
+        const parseOnPage = () => {
+            streamImportFile(file, format, handleMessage, () => !finished)
+                .catch(error => handleMessage({ type: 'error', message: error.message }));
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.getAttribute('data-action') === 'cancel') {
+                finish();
+                resolve(null);
+            }
+        });
+
+        try {
+            worker = new Worker('import-worker.js');
+            worker.onmessage = (e) => {
+                started = true;
+                handleMessage(e.data);
+            };
+            worker.onerror = (e) => {
+                e.preventDefault();
+                if (started) {
+                    handleMessage({ type: 'error', message: e.message || 'The import worker stopped unexpectedly' });
+                    return;
+                }
+                // The worker script could not load; parse here instead
+                worker.terminate();
+                worker = null;
+                parseOnPage();
+            };
+            worker.postMessage({ file, format });
+        } catch (error) {
+            worker = null;
+            parseOnPage();
+        }
+    });
+}
+
+async function importCSV(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    // Validate file type
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+        alert('Please select a CSV file');
+        return;
+    }
+    
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        // Comma, semicolon or tab delimited; quoted fields may contain line breaks
+        const result = await parseImportFile(file, 'csv', 'CSV');
+        if (!result) return; // Cancelled
+
+        // Web of Science / Scopus exports have their own column layout
+        if (result.summary.source) {
+            reviewDatabaseExport(result.items, result.summary);
+            return;
+        }
+
+        const rows = result.items;
+        const errors = result.summary.errors;
+        if (rows.length === 0) {
+            alert('No valid papers found in the CSV file');
+            return;
+        }
+        const headers = rows[0].map(header => header.trim());
+        const sampleRow = rows[1] || [];
+
+        // Columns are matched by header name; a saved preset wins over automatic matching
+        const preset = findCSVPresetForHeaders(headers);
+        const mapping = preset ? preset.mapping : autoMapCSVHeaders(headers);
+
+        if (!preset && mapping.some(field => !field)) {
+            showCSVMappingModal(headers, sampleRow, mapping, confirmedMapping => {
+                importCSVRows(rows, confirmedMapping, errors);
+            });
+        } else {
+            importCSVRows(rows, mapping, errors);
+        }
+    } catch (error) {
+        console.error('CSV import error:', error);
+        alert(`Error importing CSV file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input to prevent re-submission
+        event.target.value = '';
+    }
+}
+
+// Paper fields a CSV column can be mapped to (null = ignore the column)
+const CSV_IMPORT_FIELDS = [
+    ['itemType', 'Item Type'],
+    ['title', 'Title'],
+    ['authors', 'Authors'],
+    ['year', 'Year'],
+    ['keywords', 'Keywords'],
+    ['journal', 'Journal/Venue'],
+    ['volume', 'Volume'],
+    ['issue', 'Issue'],
+    ['pages', 'Pages'],
+    ['doi', 'DOI/URL'],
+    ['url', 'URL'],
+    ['issn', 'ISSN'],
+    ['chapter', 'Chapter/Topic'],
+    ['abstract', 'Abstract'],
+    ['relevance', 'Relevance'],
+    ['status', 'Status'],
+    ['priority', 'Priority'],
+    ['rating', 'Rating'],
+    ['dateAdded', 'Date Added'],
+    ['keyPoints', 'Key Points'],
+    ['notes', 'Notes'],
+    ['language', 'Language'],
+    ['citation', 'Citation'],
+    ['pdf', 'PDF'],
+    ['pmid', 'PMID'],
+    ['pmcid', 'PMCID'],
+    ['citationCount', 'Times Cited'],
+    ['hasPDF', 'PDF Status'],
+    ['pdfSource', 'PDF Source'],
+    ['pdfPath', 'PDF File Path'],
+    ['pdfFilename', 'PDF Filename']
+];
+
+// Normalised header name -> paper field. Covers our own export headers plus common spreadsheet names.
+const CSV_HEADER_ALIASES = {
+    itemtype: 'itemType', type: 'itemType', entrytype: 'itemType',
+    title: 'title', papertitle: 'title',
+    authors: 'authors', author: 'authors',
+    year: 'year', publicationyear: 'year', pubyear: 'year',
+    keywords: 'keywords', keyword: 'keywords', tags: 'keywords',
+    journalvenue: 'journal', journal: 'journal', venue: 'journal', publication: 'journal', sourcetitle: 'journal',
+    volume: 'volume', vol: 'volume',
+    issue: 'issue', number: 'issue',
+    pages: 'pages', pagerange: 'pages',
+    doiurl: 'doi', doi: 'doi',
+    url: 'url', link: 'url',
+    issn: 'issn',
+    chaptertopic: 'chapter', chapter: 'chapter', topic: 'chapter',
+    abstract: 'abstract', summary: 'abstract',
+    relevance: 'relevance',
+    status: 'status', readingstatus: 'status',
+    priority: 'priority',
+    rating: 'rating',
+    dateadded: 'dateAdded', added: 'dateAdded',
+    keypoints: 'keyPoints',
+    notes: 'notes', note: 'notes',
+    language: 'language',
+    citation: 'citation',
+    pdf: 'pdf',
+    pmid: 'pmid', pubmedid: 'pmid',
+    pmcid: 'pmcid',
+    timescited: 'citationCount', citedby: 'citationCount', citations: 'citationCount',
+    pdfstatus: 'hasPDF',
+    pdfsource: 'pdfSource',
+    pdffilepath: 'pdfPath', pdfpath: 'pdfPath',
+    pdffilename: 'pdfFilename'
+};
+
+const CSV_PRESETS_KEY = 'research-tracker-csv-presets-v1';
+
+function normalizeCSVHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Map each header to a paper field by name (null when the header is unknown)
+function autoMapCSVHeaders(headers) {
+    const used = new Set();
+    return headers.map(header => {
+        const field = CSV_HEADER_ALIASES[normalizeCSVHeader(header)] || null;
+        // Only the first column claiming a field gets it
+        if (!field || used.has(field)) return null;
+        used.add(field);
+        return field;
+    });
+}
+
+function loadCSVPresets() {
+    try {
+        const stored = localStorage.getItem(CSV_PRESETS_KEY);
+        const presets = stored ? JSON.parse(stored) : {};
+        return presets && typeof presets === 'object' ? presets : {};
+    } catch (error) {
+        console.error('Error loading CSV presets:', error);
+        return {};
+    }
+}
+
+function saveCSVPreset(name, headers, mapping) {
+    try {
+        const presets = loadCSVPresets();
+        presets[name] = { headers, mapping, lastModified: new Date().toISOString() };
+        localStorage.setItem(CSV_PRESETS_KEY, JSON.stringify(presets));
+    } catch (error) {
+        console.error('Error saving CSV preset:', error);
+    }
+}
+
+// A preset applies automatically when its headers match the file's headers exactly
+function findCSVPresetForHeaders(headers) {
+    const signature = headers.map(normalizeCSVHeader).join('|');
+    const presets = loadCSVPresets();
+    const name = Object.keys(presets).find(key => {
+        const preset = presets[key];
+        return Array.isArray(preset.headers) && preset.headers.map(normalizeCSVHeader).join('|') === signature;
+    });
+    return name ? presets[name] : null;
+}
+
+// Ask the user how to map unknown CSV columns, optionally saving the result as a named preset
+function showCSVMappingModal(headers, sampleRow, initialMapping, onConfirm) {
+    const presets = loadCSVPresets();
+    const presetNames = Object.keys(presets);
+
+    const fieldOptions = (selected) => [
+        `<option value="">— Ignore column —</option>`,
+        ...CSV_IMPORT_FIELDS.map(([field, label]) =>
+            `<option value="${field}" ${field === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+    ].join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3 class="modal-title">Map CSV Columns</h3>
+                <button class="modal-close" data-action="close">&times;</button>
+            </div>
+            <div class="modal-content">
+                <p class="ai-instructions">Some column headers were not recognised. Choose which paper field each column fills, or ignore it.</p>
+                ${presetNames.length > 0 ? `
+                    <div class="modal-field">
+                        <label for="csv-preset-select">Apply saved preset</label>
+                        <select id="csv-preset-select">
+                            <option value="">—</option>
+                            ${presetNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <table class="csv-mapping-table">
+                    <thead>
+                        <tr><th>Column</th><th>First row</th><th>Paper field</th></tr>
+                    </thead>
+                    <tbody>
+                        ${headers.map((header, index) => `
+                            <tr>
+                                <td>${escapeHtml(header || `Column ${index + 1}`)}</td>
+                                <td class="csv-mapping-sample">${escapeHtml((sampleRow[index] || '').substring(0, 80))}</td>
+                                <td><select data-column="${index}">${fieldOptions(initialMapping[index])}</select></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="modal-field">
+                    <label for="csv-preset-name">Save mapping as preset (optional)</label>
+                    <input type="text" id="csv-preset-name" maxlength="100" placeholder="e.g. Lab reading list">
+                </div>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="confirm">Import</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const selects = Array.from(modal.querySelectorAll('select[data-column]'));
+
+    const presetSelect = modal.querySelector('#csv-preset-select');
+    if (presetSelect) {
+        presetSelect.addEventListener('change', () => {
+            const preset = presets[presetSelect.value];
+            if (!preset) return;
+            // Match preset columns by header name so reordered spreadsheets still map correctly
+            const presetHeaders = preset.headers.map(normalizeCSVHeader);
+            selects.forEach((select, index) => {
+                const presetIndex = presetHeaders.indexOf(normalizeCSVHeader(headers[index]));
+                select.value = presetIndex !== -1 ? (preset.mapping[presetIndex] || '') : '';
+            });
+        });
+    }
+
+    modal.addEventListener('click', (e) => {
+        const action = e.target.getAttribute('data-action');
+        if (e.target === modal || action === 'close') {
+            modal.remove();
+            return;
+        }
+        if (action !== 'confirm') return;
+
+        const mapping = selects.map(select => select.value || null);
+        const mappedFields = mapping.filter(field => field);
+        if (!mappedFields.includes('title')) {
+            alert('Map one column to Title before importing');
+            return;
+        }
+        if (new Set(mappedFields).size !== mappedFields.length) {
+            alert('Each paper field can only be mapped from one column');
+            return;
+        }
+
+        const presetName = modal.querySelector('#csv-preset-name').value.trim();
+        if (presetName) {
+            saveCSVPreset(presetName, headers, mapping);
+        }
+
+        modal.remove();
+        onConfirm(mapping);
+    });
+}
+
+// Build records from CSV data rows using a column -> field mapping and send them to the import review
+function importCSVRows(rows, mapping, errors = []) {
+    try {
+        const records = [];
+
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
+
+            const record = {};
+            mapping.forEach((field, index) => {
+                if (field) record[field] = (values[index] || '').trim();
+            });
+            if (record.title) records.push(record);
+        }
+
+        if (records.length === 0) {
+            if (errors.length > 0) {
+                alert(`No valid papers found in the CSV file.\n\nMalformed record(s):\n${formatCSVErrors(errors)}`);
+            } else {
                 alert('No valid papers found in the CSV file');
             }
-            
-            // Clear the file input to prevent re-submission
-            event.target.value = '';
+            return;
+        }
+
+        showImportReview(records, {
+            source: 'CSV',
+            notes: errors.length > 0 ? `Skipped ${errors.length} malformed record(s):\n${formatCSVErrors(errors)}` : '',
+            build: record => {
+                const paper = createImportedPaper(record);
+                if (!paper.citation) {
+                    paper.citation = formatAPA7Citation(paper);
+                }
+
+                const pdfStatus = (record.hasPDF || '').toLowerCase();
+                paper.hasPDF = pdfStatus === 'yes' || pdfStatus === 'true';
+                paper.pdfSource = ['folder', 'local', 'file', 'online', 'none', 'indexeddb'].includes(record.pdfSource) ? record.pdfSource : 'none';
+                paper.pdfPath = record.pdfPath || '';
+                paper.pdfFilename = record.pdfFilename || '';
+                return paper;
+            },
+            onCommit: restoreImportedPDFReferences
+        });
+    } catch (error) {
+        console.error('CSV import error:', error);
+        alert('Error importing CSV file. Please check the file format.');
+    }
+}
+
+// Try to reattach PDFs referenced by newly imported papers; returns text for the import summary
+async function restoreImportedPDFReferences(addedPapers) {
+    let pdfRestoreCount = 0;
+    for (const paper of addedPapers) {
+        // Try to restore PDF if file path exists
+        if (paper.hasPDF && paper.pdfPath && paper.pdfSource === 'file') {
+            if (await tryRestorePDFFromPath(paper)) {
+                pdfRestoreCount++;
+            }
+        }
+    }
+    return pdfRestoreCount > 0 ? `\n\nRestored ${pdfRestoreCount} PDF references` : '';
+}
+
+// Paper from a record in the tracker's own JSON export
+function paperFromJSONData(paperData) {
+    return {
+        id: nextId++,
+        // New JSON structure fields
+        itemType: paperData.itemType || 'article',
+        title: paperData.title || '',
+        authors: paperData.authors || '',
+        year: paperData.year || '',
+        journal: paperData.journal || '',
+        volume: paperData.volume || '',
+        issue: paperData.issue || '',
+        pages: paperData.pages || '',
+        doi: paperData.doi || '',
+        url: paperData.url || paperData.doi || '',
+        issn: paperData.issn || '',
+        language: paperData.language || 'en',
+        dateAdded: paperData.dateAdded || new Date().toISOString().split('T')[0],
+        keywords: paperData.keywords || '',
+        abstract: paperData.abstract || '',
+        relevance: paperData.relevance || '',
+        // Legacy fields for backward compatibility
+        status: ['to-read', 'reading', 'read', 'skimmed'].includes(paperData.status) ? paperData.status : 'to-read',
+        priority: ['low', 'medium', 'high'].includes(paperData.priority) ? paperData.priority : 'medium',
+        rating: paperData.rating || '',
+        keyPoints: paperData.keyPoints || paperData.abstract || '',
+        notes: paperData.notes || paperData.relevance || '',
+        citation: paperData.citation || '',
+        chapter: paperData.chapter || '',
+        pmid: paperData.pmid || '',
+        pmcid: paperData.pmcid || '',
+        citationCount: paperData.citationCount || '',
+        citeKey: importedCiteKey(paperData.citeKey),
+        citeKeyPinned: Boolean(paperData.citeKey && paperData.citeKeyPinned),
+        readBy: normalizeReadByDate(paperData.readBy),
+        readingBlocks: normalizeReadingBlocks(paperData.readingBlocks),
+    
+        // Handle PDF data (both old and new format)
+        hasPDF: paperData.pdf ? (paperData.pdf.hasPDF || false) : (paperData.hasPDF || false),
+        pdfSource: paperData.pdf ? (paperData.pdf.source || 'none') : (paperData.pdfSource || 'none'),
+        pdfPath: paperData.pdf ? (paperData.pdf.path || '') : (paperData.pdfPath || ''),
+        pdfFilename: paperData.pdf ? (paperData.pdf.filename || '') : (paperData.pdfFilename || ''),
+        pdfBlobUrl: null,
+        pdfHandle: null
+    };
+}
+
+// Import from JSON format
+async function importJSON(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    // Validate file type
+    if (!file.name.toLowerCase().endsWith('.json')) {
+        alert('Please select a JSON file');
+        return;
+    }
+    
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        const result = await parseImportFile(file, 'json', 'JSON');
+        if (!result) return; // Cancelled
+
+        if (result.items.length > 0) {
+            showImportReview(result.items, {
+                source: 'JSON',
+                build: paperFromJSONData,
+                onCommit: restoreImportedPDFReferences
+            });
+        } else {
+            alert('No valid papers found in the JSON file');
+        }
+    } catch (error) {
+        console.error('JSON import error:', error);
+        alert(`Error importing JSON file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input
+        event.target.value = '';
+    }
+}
+
+// Import from BibTeX format
+async function importBibTeX(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    if (!file.name.toLowerCase().endsWith('.bib')) {
+        alert('Please select a BibTeX file (.bib)');
+        return;
+    }
+
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        const result = await parseImportFile(file, 'bibtex', 'BibTeX');
+        if (!result) return; // Cancelled
+
+        if (result.items.length > 0) {
+            showImportReview(result.items, { source: 'BibTeX', notes: bibTeXWarningText(result.summary.warnings) });
+        } else {
+            const warningText = bibTeXWarningText(result.summary.warnings);
+            alert(`No valid papers found in the BibTeX file${warningText ? `\n\n${warningText}` : ''}`);
+        }
+    } catch (error) {
+        console.error('BibTeX import error:', error);
+        alert(`Error importing BibTeX file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input
+        event.target.value = '';
+    }
+}
+
+// Human-readable list of BibTeX parser warnings for import messages
+function formatBibTeXWarnings(warnings, limit = 10) {
+    const lines = warnings.slice(0, limit).map(warning => {
+        const where = warning.key ? `Line ${warning.line} (${warning.key})` : `Line ${warning.line}`;
+        return `• ${where}: ${warning.message}`;
+    });
+    if (warnings.length > limit) {
+        lines.push(`• ...and ${warnings.length - limit} more`);
+    }
+    return lines.join('\n');
+}
+
+// Warning block for BibTeX import messages; '' when there are none
+function bibTeXWarningText(warnings) {
+    return warnings && warnings.length > 0 ? `${warnings.length} warning(s):\n${formatBibTeXWarnings(warnings)}` : '';
+}
+
+// Month macros predefined by the standard BibTeX styles
+const BIBTEX_MONTH_MACROS = {
+    jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+};
+
+// BibTeX/BibLaTeX entry types -> tracker item types
+const BIBTEX_TYPE_MAP = {
+    article: 'article',
+    inproceedings: 'inproceedings',
+    conference: 'inproceedings',
+    book: 'book',
+    mvbook: 'book',
+    inbook: 'book',
+    incollection: 'book',
+    collection: 'book',
+    proceedings: 'book',
+    techreport: 'techreport',
+    report: 'techreport',
+    phdthesis: 'phdthesis',
+    mastersthesis: 'phdthesis',
+    thesis: 'phdthesis',
+    misc: 'misc',
+    online: 'misc',
+    electronic: 'misc',
+    www: 'misc',
+    unpublished: 'misc',
+    manual: 'misc',
+    booklet: 'misc'
+};
+
+// Parse BibTeX/BibLaTeX content into paper data.
+// Returns { papers, warnings }; warnings are { line, key, message } so problem entries can be reported
+// instead of silently dropped.
+function parseBibTeX(content) {
+    const { entries, warnings } = readBibTeXEntries(content);
+    const entriesByKey = new Map();
+    entries.forEach(entry => {
+        if (entry.key && !entriesByKey.has(entry.key.toLowerCase())) {
+            entriesByKey.set(entry.key.toLowerCase(), entry);
+        }
+    });
+
+    const papers = [];
+    entries.forEach(entry => {
+        const warn = message => warnings.push({ line: entry.line, key: entry.key, message });
+
+        if (entry.fields.crossref) {
+            const parent = entriesByKey.get(entry.fields.crossref.trim().toLowerCase());
+            if (parent) {
+                inheritBibTeXCrossref(entry, parent);
+            } else {
+                warn(`crossref target "${entry.fields.crossref}" not found`);
+            }
+        }
+
+        if (!BIBTEX_TYPE_MAP[entry.type]) {
+            warn(`unknown entry type @${entry.type}, imported as misc`);
+        }
+
+        const paper = bibTeXEntryToPaperData(entry);
+        if (!paper.title) {
+            warn('entry has no title and was skipped');
+            return;
+        }
+        papers.push(paper);
+    });
+
+    warnings.sort((a, b) => a.line - b.line);
+    return { papers, warnings };
+}
+
+// Tokenize a .bib file into raw entries: { type, key, fields, line }.
+// Field names are lower-cased, values keep their inner braces and @string macros are expanded.
+// Anything outside an entry is a comment, as in BibTeX itself; @comment and @preamble blocks are skipped.
+function readBibTeXEntries(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const entries = [];
+    const warnings = [];
+    const macros = Object.assign({}, BIBTEX_MONTH_MACROS);
+    const seenKeys = new Set();
+
+    let pos = 0;
+    let linePos = 0;
+    let lineNumber = 1;
+
+    // Line numbers are only needed at entry starts, which only move forward
+    const lineAt = index => {
+        for (; linePos < index; linePos++) {
+            if (text[linePos] === '\n') lineNumber++;
+        }
+        return lineNumber;
+    };
+
+    const fail = message => {
+        throw new Error(message);
+    };
+
+    const skipWhitespace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+
+    const readIdentifier = () => {
+        const match = /^[^\s"#%'(),={}]+/.exec(text.substring(pos, pos + 200));
+        if (!match) return '';
+        pos += match[0].length;
+        return match[0];
+    };
+
+    // Text between balanced braces, starting at an opening brace; inner braces are kept
+    const readBraced = () => {
+        const start = pos + 1;
+        let depth = 0;
+        for (; pos < text.length; pos++) {
+            const char = text[pos];
+            if (char === '\\') {
+                pos++; // Escaped character, e.g. \{ or \}
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    pos++;
+                    return text.substring(start, pos - 1);
+                }
+            }
+        }
+        return fail('unbalanced braces');
+    };
+
+    // Text between double quotes; quotes inside braces do not end the value
+    const readQuoted = () => {
+        const start = ++pos;
+        let depth = 0;
+        for (; pos < text.length; pos++) {
+            const char = text[pos];
+            if (char === '\\') {
+                pos++;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+            } else if (char === '"' && depth === 0) {
+                pos++;
+                return text.substring(start, pos - 1);
+            }
+        }
+        return fail('unterminated quoted value');
+    };
+
+    // A value is one or more braced, quoted, numeric or macro parts joined with #
+    const readValue = onWarning => {
+        let value = '';
+        for (;;) {
+            skipWhitespace();
+            const char = text[pos];
+            if (char === '{') {
+                value += readBraced();
+            } else if (char === '"') {
+                value += readQuoted();
+            } else {
+                const name = readIdentifier();
+                if (!name) fail(pos < text.length ? `unexpected "${text[pos]}"` : 'unexpected end of file');
+                if (/^\d+$/.test(name)) {
+                    value += name;
+                } else if (Object.prototype.hasOwnProperty.call(macros, name.toLowerCase())) {
+                    value += macros[name.toLowerCase()];
+                } else {
+                    onWarning(`undefined @string macro "${name}"`);
+                }
+            }
+            skipWhitespace();
+            if (text[pos] !== '#') return value;
+            pos++;
+        }
+    };
+
+    const expect = char => {
+        skipWhitespace();
+        if (text[pos] !== char) {
+            fail(pos < text.length ? `expected "${char}" but found "${text[pos]}"` : 'unexpected end of file');
+        }
+        pos++;
+    };
+
+    for (;;) {
+        const at = text.indexOf('@', pos);
+        if (at === -1) break;
+        pos = at + 1;
+        const line = lineAt(at);
+
+        skipWhitespace();
+        const type = readIdentifier().toLowerCase();
+        skipWhitespace();
+        if (!type || (text[pos] !== '{' && text[pos] !== '(')) {
+            continue; // A stray "@" in comment text between entries
+        }
+        const close = text[pos] === '{' ? '}' : ')';
+
+        if (type === 'comment') {
+            if (close === '}') {
+                try {
+                    readBraced();
+                } catch (error) {
+                    pos = at + 1;
+                }
+            }
+            continue;
+        }
+
+        pos++;
+        const entry = { type, key: '', fields: {}, line };
+        const warn = message => warnings.push({ line, key: entry.key, message });
+
+        try {
+            if (type === 'preamble') {
+                readValue(warn);
+                expect(close);
+                continue;
+            }
+
+            if (type === 'string') {
+                skipWhitespace();
+                const name = readIdentifier();
+                if (!name) fail('@string without a macro name');
+                expect('=');
+                macros[name.toLowerCase()] = readValue(warn);
+                expect(close);
+                continue;
+            }
+
+            skipWhitespace();
+            const keyMatch = /^[^\s,})]*/.exec(text.substring(pos, pos + 500));
+            entry.key = keyMatch[0];
+            pos += entry.key.length;
+            if (!entry.key) {
+                warn('entry has no citation key');
+            } else if (seenKeys.has(entry.key.toLowerCase())) {
+                warn(`duplicate citation key "${entry.key}"`);
+            }
+            seenKeys.add(entry.key.toLowerCase());
+
+            for (;;) {
+                skipWhitespace();
+                if (text[pos] === close) {
+                    pos++;
+                    break;
+                }
+                if (text[pos] === ',') {
+                    pos++;
+                    continue;
+                }
+                const name = readIdentifier().toLowerCase();
+                if (!name) fail(pos < text.length ? `unexpected "${text[pos]}"` : 'unexpected end of file');
+                expect('=');
+                const value = readValue(warn);
+                if (Object.prototype.hasOwnProperty.call(entry.fields, name)) {
+                    warn(`duplicate field "${name}" ignored`);
+                } else {
+                    entry.fields[name] = value;
+                }
+            }
+            entries.push(entry);
         } catch (error) {
-            console.error('CSV import error:', error);
-            alert('Error importing CSV file. Please check the file format.');
+            // Keep what was read so far and resume at the next line that starts an entry
+            const next = text.substring(at + 1).search(/\n[ \t]*@/);
+            pos = next === -1 ? text.length : at + 1 + next + 1;
+            if (type === 'preamble' || type === 'string') {
+                warn(`@${type} ignored: ${error.message}`);
+            } else {
+                warn(`syntax error: ${error.message}; fields after this point were lost`);
+                entries.push(entry);
+            }
+        }
+    }
+
+    return { entries, warnings };
+}
+
+// Copy fields a crossref'd parent provides; the parent's title becomes the child's booktitle
+function inheritBibTeXCrossref(entry, parent) {
+    Object.keys(parent.fields).forEach(name => {
+        if (['crossref', 'ids', 'title'].includes(name)) return;
+        if (!Object.prototype.hasOwnProperty.call(entry.fields, name)) {
+            entry.fields[name] = parent.fields[name];
+        }
+    });
+    if (parent.fields.title && !entry.fields.booktitle) {
+        entry.fields.booktitle = parent.fields.title;
+    }
+}
+
+// Turn a raw BibTeX value into plain text: decode LaTeX to Unicode, drop grouping braces, collapse whitespace.
+// Verbatim fields (url, doi, eprint) only lose their braces.
+function cleanBibTeXValue(value, verbatim = false) {
+    const text = String(value || '').replace(/\\([{}])/g, (match, brace) => (brace === '{' ? '\uE000' : '\uE001'));
+    return (verbatim ? text : latexToUnicode(text))
+        .replace(/[{}]/g, '')
+        .replace(/\uE000/g, '{')
+        .replace(/\uE001/g, '}')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Split a raw BibTeX name list on top-level " and " and convert each name to "First Last"
+function parseBibTeXNames(value) {
+    const names = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '{') depth++;
+        else if (char === '}') depth--;
+        else if (depth === 0 && /\s/.test(char)) {
+            const match = /^\s+and\s+/i.exec(value.substring(i, i + 20));
+            if (match) {
+                names.push(value.substring(start, i));
+                i += match[0].length - 1;
+                start = i + 1;
+            }
+        }
+    }
+    names.push(value.substring(start));
+
+    return names.map(name => {
+        const trimmed = name.trim();
+        // A fully braced name is a corporate author and must not be reordered
+        if (/^\{[^{}]*\}$/.test(trimmed)) return cleanBibTeXValue(trimmed);
+        const parts = cleanBibTeXValue(trimmed).split(',').map(part => part.trim());
+        if (parts.length === 3) {
+            return `${parts[2]} ${parts[0]} ${parts[1]}`.trim(); // "von Last, Jr, First"
+        }
+        return toFirstLastName(parts.join(', '));
+    }).filter(name => name && name.toLowerCase() !== 'others');
+}
+
+// Map a raw BibTeX/BibLaTeX entry to the data accepted by createImportedPaper()
+function bibTeXEntryToPaperData(entry) {
+    const raw = entry.fields;
+    const field = name => cleanBibTeXValue(raw[name], ['url', 'doi', 'eprint'].includes(name));
+
+    const data = {
+        itemType: BIBTEX_TYPE_MAP[entry.type] || 'misc',
+        citeKey: entry.key,
+        title: field('title'),
+        authors: parseBibTeXNames(raw.author || raw.editor || '').join(', '),
+        // BibLaTeX uses date = {2020-05-01} (or a range) instead of year
+        year: field('year') || (field('date').match(/\d{4}/) || [''])[0],
+        // The venue field depends on the entry type (see BIBTEX_EXPORT_TYPES)
+        journal: field('journaltitle') || field('journal') || field('booktitle') || field('school') ||
+            field('institution') || field('howpublished') || (entry.type === 'book' ? field('publisher') : ''),
+        volume: field('volume'),
+        issue: field('number') || field('issue'),
+        pages: field('pages').replace(/[-–—]+/g, '-'),
+        doi: field('doi'),
+        url: field('url'),
+        issn: field('issn') || field('isbn'),
+        keywords: field('keywords'),
+        abstract: field('abstract'),
+        chapter: field('chapter'),
+        pmid: field('pmid'),
+        pmcid: field('pmcid')
+    };
+
+    // BibLaTeX eprint identifiers (arXiv, PubMed, JSTOR, ...)
+    const eprint = field('eprint');
+    const eprintType = (field('eprinttype') || field('archiveprefix')).toLowerCase();
+    if (eprint) {
+        switch (eprintType) {
+            case 'arxiv':
+                data.url = data.url || `https://arxiv.org/abs/${eprint.replace(/^arxiv:/i, '')}`;
+                data.journal = data.journal || 'arXiv preprint';
+                break;
+            case 'pubmed':
+                data.pmid = data.pmid || eprint;
+                break;
+            case 'pmc':
+                data.pmcid = data.pmcid || eprint;
+                break;
+            case 'doi':
+                data.doi = data.doi || eprint;
+                break;
+            case 'jstor':
+                data.url = data.url || `https://www.jstor.org/stable/${eprint}`;
+                break;
+            case 'hdl':
+                data.url = data.url || `https://hdl.handle.net/${eprint}`;
+                break;
+        }
+    }
+    if (!data.doi) {
+        data.doi = data.url;
+    }
+
+    const language = (field('langid') || field('language')).toLowerCase();
+    if (language) {
+        data.language = LANGUAGE_NAME_MAP[language] || (/^[a-z]{2}$/.test(language) ? language : 'en');
+    }
+
+    const notes = [];
+    if (field('note')) notes.push(field('note'));
+    if (field('publisher') && field('publisher') !== data.journal) notes.push(`Publisher: ${field('publisher')}`);
+    if (field('address') || field('location')) notes.push(`Address: ${field('address') || field('location')}`);
+    if (field('urldate')) notes.push(`Accessed: ${field('urldate')}`);
+    data.notes = notes.join(' | ');
+
+    // Reading data written by buildBibTeX(): "Status: read, Priority: high, Rating: 4/5, Relevance: ..."
+    const annotation = field('annote') || field('annotation');
+    const tracker = annotation.match(/^Status: ([\w-]+)(?:, Priority: (\w+))?(?:, Rating: (\d)\/5)?(?:, Relevance: (.*))?$/);
+    if (tracker) {
+        data.status = tracker[1];
+        data.priority = tracker[2] || '';
+        data.rating = tracker[3] || '';
+        data.relevance = tracker[4] || '';
+    }
+
+    return data;
+}
+
+// Import from RIS format
+async function importRIS(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    if (!/\.(ris|txt)$/i.test(file.name)) {
+        alert('Please select a RIS file (.ris)');
+        return;
+    }
+
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        const result = await parseImportFile(file, 'ris', 'RIS');
+        if (!result) return; // Cancelled
+
+        if (result.items.length > 0) {
+            showImportReview(result.items, { source: 'RIS' });
+        } else {
+            alert('No valid papers found in the RIS file');
+        }
+    } catch (error) {
+        console.error('RIS import error:', error);
+        alert(`Error importing RIS file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input
+        event.target.value = '';
+    }
+}
+
+// Import from CSL-JSON format
+async function importCSLJSON(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    if (!file.name.toLowerCase().endsWith('.json')) {
+        alert('Please select a CSL-JSON file (.json)');
+        return;
+    }
+
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        const result = await parseImportFile(file, 'csljson', 'CSL-JSON');
+        if (!result) return; // Cancelled
+
+        if (result.items.length > 0) {
+            showImportReview(result.items, { source: 'CSL-JSON' });
+        } else {
+            alert('No valid papers found in the CSL-JSON file');
+        }
+    } catch (error) {
+        console.error('CSL-JSON import error:', error);
+        alert(`Error importing CSL-JSON file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input
+        event.target.value = '';
+    }
+}
+
+// Parse CSL-JSON text (an array of items, or a single item) into paper data objects
+function parseCSLJSON(content) {
+    const data = JSON.parse(content);
+    const items = Array.isArray(data) ? data : [data];
+
+    return items
+        .filter(item => item && typeof item === 'object' && item.type)
+        .map(cslToPaperData)
+        .filter(paper => paper.title);
+}
+
+// Import from EndNote XML library export
+async function importEndNoteXML(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    if (!file.name.toLowerCase().endsWith('.xml')) {
+        alert('Please select an EndNote XML file (.xml)');
+        return;
+    }
+
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        const result = await parseImportFile(file, 'endnote', 'EndNote XML');
+        if (!result) return; // Cancelled
+
+        if (result.items.length > 0) {
+            showImportReview(result.items, { source: 'EndNote XML' });
+        } else {
+            alert('No valid records found in the EndNote XML file');
+        }
+    } catch (error) {
+        console.error('EndNote XML import error:', error);
+        alert(`Error importing EndNote XML file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input
+        event.target.value = '';
+    }
+}
+
+// EndNote ref-type numbers -> tracker itemType
+const ENDNOTE_REF_TYPE_MAP = {
+    17: 'article', // Journal Article
+    19: 'article', // Magazine Article
+    23: 'article', // Newspaper Article
+    43: 'article', // Electronic Article
+    10: 'inproceedings', // Conference Proceedings
+    47: 'inproceedings', // Conference Paper
+    5: 'book', // Book Section
+    6: 'book', // Book
+    28: 'book', // Edited Book
+    44: 'book', // Electronic Book
+    27: 'techreport', // Report
+    32: 'phdthesis' // Thesis
+};
+
+// Decode the XML entities EndNote writes
+function decodeXMLEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Inner XML of every <tag> element in a fragment
+function getXMLElements(xml, tag) {
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+    const results = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        results.push(match[1]);
+    }
+    return results;
+}
+
+// Text content of the first <tag> element (EndNote wraps text in one or more <style> runs)
+function getXMLText(xml, tag) {
+    const element = getXMLElements(xml, tag)[0];
+    return element === undefined ? '' : xmlInnerText(element);
+}
+
+function xmlInnerText(fragment) {
+    return decodeXMLEntities(fragment.replace(/<[^>]+>/g, '')).trim();
+}
+
+// Map one EndNote <record> to paper fields
+function endNoteRecordToPaperData(record) {
+    const refTypeMatch = record.match(/<ref-type[^>]*>(\d+)<\/ref-type>/);
+    const contributors = getXMLElements(record, 'contributors')[0] || '';
+    const authorsBlock = getXMLElements(contributors, 'authors')[0] || '';
+    const titles = getXMLElements(record, 'titles')[0] || '';
+    const periodical = getXMLElements(record, 'periodical')[0] || '';
+    const dates = getXMLElements(record, 'dates')[0] || '';
+    const keywordsBlock = getXMLElements(record, 'keywords')[0] || '';
+    const urlsBlock = getXMLElements(record, 'urls')[0] || '';
+
+    const authors = getXMLElements(authorsBlock, 'author').map(xmlInnerText).filter(name => name);
+    const keywords = getXMLElements(keywordsBlock, 'keyword').map(xmlInnerText).filter(keyword => keyword);
+    const relatedUrls = getXMLElements(getXMLElements(urlsBlock, 'related-urls')[0] || '', 'url')
+        .map(xmlInnerText)
+        .filter(url => url);
+
+    const doi = getXMLText(record, 'electronic-resource-num').replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+
+    return {
+        itemType: (refTypeMatch && ENDNOTE_REF_TYPE_MAP[refTypeMatch[1]]) || 'misc',
+        title: getXMLText(titles, 'title'),
+        authors: authors.map(toFirstLastName).join(', '),
+        year: getXMLText(dates, 'year'),
+        journal: getXMLText(periodical, 'full-title') || getXMLText(titles, 'secondary-title'),
+        volume: getXMLText(record, 'volume'),
+        issue: getXMLText(record, 'number'),
+        pages: getXMLText(record, 'pages'),
+        doi: doi || relatedUrls[0] || '',
+        url: relatedUrls[0] || '',
+        issn: getXMLText(record, 'isbn'),
+        keywords: keywords.join(', '),
+        abstract: getXMLText(record, 'abstract'),
+        notes: getXMLText(record, 'notes'),
+        language: getXMLText(record, 'language')
+    };
+}
+
+// Paper data from every <record> in EndNote XML text (a whole library or a run of complete records)
+function parseEndNoteXML(content) {
+    const results = [];
+    let position = 0;
+
+    while (true) {
+        const start = content.indexOf('<record>', position);
+        if (start === -1) break;
+        const end = content.indexOf('</record>', start);
+        if (end === -1) break;
+
+        const paper = endNoteRecordToPaperData(content.substring(start + 8, end));
+        if (paper.title) results.push(paper);
+        position = end + 9;
+    }
+
+    return results;
+}
+
+// Import from PubMed MEDLINE format (.nbib / .txt)
+async function importMEDLINE(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    if (!/\.(nbib|txt|medline)$/i.test(file.name)) {
+        alert('Please select a PubMed MEDLINE file (.nbib or .txt)');
+        return;
+    }
+
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        const result = await parseImportFile(file, 'medline', 'MEDLINE');
+        if (!result) return; // Cancelled
+
+        if (result.items.length > 0) {
+            showImportReview(result.items, { source: 'PubMed' });
+        } else {
+            alert('No valid records found in the MEDLINE file');
+        }
+    } catch (error) {
+        console.error('MEDLINE import error:', error);
+        alert(`Error importing MEDLINE file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input
+        event.target.value = '';
+    }
+}
+
+// MEDLINE three-letter language codes -> ISO 639-1
+const MEDLINE_LANGUAGE_MAP = {
+    eng: 'en', ger: 'de', fre: 'fr', spa: 'es', ita: 'it', por: 'pt',
+    dut: 'nl', rus: 'ru', jpn: 'ja', chi: 'zh', kor: 'ko', pol: 'pl'
+};
+
+// Parse MEDLINE tagged text into paper data objects.
+// Each line is "TAG - value" with the tag padded to four characters; continuation lines start with six spaces.
+function parseMEDLINE(content) {
+    const records = [];
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const tagPattern = /^([A-Z0-9]{2,4})\s*- (.*)$/;
+
+    let record = null;
+    let lastTag = null;
+
+    for (const line of lines) {
+        if (!line.trim()) {
+            // Blank line ends the current record
+            if (record) records.push(record);
+            record = null;
+            lastTag = null;
+            continue;
+        }
+
+        const match = line.match(tagPattern);
+        if (match && !/^\s/.test(line)) {
+            if (!record) record = {};
+            lastTag = match[1];
+            if (!record[lastTag]) record[lastTag] = [];
+            record[lastTag].push(match[2].trim());
+        } else if (record && lastTag) {
+            const values = record[lastTag];
+            values[values.length - 1] += ` ${line.trim()}`;
+        }
+    }
+    if (record) records.push(record);
+
+    return records.map(medlineRecordToPaperData).filter(paper => paper.title);
+}
+
+// Expand MEDLINE's abbreviated page ranges ("1234-45" -> "1234-1245")
+function expandPageRange(pages) {
+    const match = (pages || '').match(/^(\d+)-(\d+)$/);
+    if (!match || match[2].length >= match[1].length) return pages || '';
+    const start = match[1];
+    return `${start}-${start.substring(0, start.length - match[2].length)}${match[2]}`;
+}
+
+// Map a parsed MEDLINE record onto paper fields
+function medlineRecordToPaperData(record) {
+    const first = (tag) => (record[tag] && record[tag][0]) || '';
+    const all = (tag) => record[tag] || [];
+
+    // DOI appears in LID or AID as "10.xxxx/yyy [doi]"
+    const doiEntry = all('LID').concat(all('AID')).find(value => /\[doi\]$/.test(value));
+    const doi = doiEntry ? doiEntry.replace(/\s*\[doi\]$/, '') : '';
+
+    // MeSH headings look like "Neoplasms/*therapy"; keep only the descriptor
+    const meshTerms = all('MH').map(term => term.split('/')[0].replace(/^\*/, '').trim());
+    const keywords = [];
+    all('OT').concat(meshTerms).forEach(term => {
+        if (term && !keywords.some(existing => existing.toLowerCase() === term.toLowerCase())) {
+            keywords.push(term);
+        }
+    });
+
+    const authorNames = all('FAU').length > 0 ? all('FAU') : all('AU');
+    const publicationTypes = all('PT').join(' ').toLowerCase();
+    const language = first('LA').toLowerCase();
+
+    let itemType = 'article';
+    if (publicationTypes.includes('congress')) {
+        itemType = 'inproceedings';
+    } else if (publicationTypes.includes('technical report')) {
+        itemType = 'techreport';
+    } else if (first('BTI') && !first('JT')) {
+        itemType = 'book';
+    }
+
+    return {
+        itemType,
+        title: first('TI') || first('BTI'),
+        authors: authorNames.map(toFirstLastName).join(', '),
+        year: first('DP'),
+        journal: first('JT') || first('TA'),
+        volume: first('VI'),
+        issue: first('IP'),
+        pages: expandPageRange(first('PG')),
+        doi,
+        issn: first('IS').replace(/\s*\(.*\)$/, ''),
+        keywords: keywords.join(', '),
+        abstract: first('AB'),
+        language: MEDLINE_LANGUAGE_MAP[language] || language,
+        pmid: first('PMID'),
+        pmcid: first('PMC')
+    };
+}
+
+// Import from a Web of Science (tab-delimited) or Scopus (CSV) export
+async function importDatabaseExport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    if (!/\.(txt|tsv|csv)$/i.test(file.name)) {
+        alert('Please select a Web of Science (.txt) or Scopus (.csv) export');
+        return;
+    }
+
+    // Validate file size
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+        alert(`File is too large. Please select a file smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB`);
+        return;
+    }
+
+    try {
+        const result = await parseImportFile(file, 'database', 'Web of Science / Scopus');
+        if (!result) return; // Cancelled
+
+        reviewDatabaseExport(result.items, result.summary);
+    } catch (error) {
+        console.error('Database export import error:', error);
+        alert(`Error importing Web of Science / Scopus file. Please check the file format.\n\n${error.message}`);
+    } finally {
+        // Clear the file input
+        event.target.value = '';
+    }
+}
+
+// Language names used by Web of Science and Scopus -> ISO 639-1
+const LANGUAGE_NAME_MAP = {
+    english: 'en', german: 'de', french: 'fr', spanish: 'es', italian: 'it', portuguese: 'pt',
+    dutch: 'nl', russian: 'ru', japanese: 'ja', chinese: 'zh', korean: 'ko', polish: 'pl'
+};
+
+// Recognise a vendor export by its header row; returns 'wos', 'scopus' or null
+function detectDatabaseExportFormat(text) {
+    const headerLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0] || '';
+
+    if (headerLine.includes('\t')) {
+        const headers = headerLine.split('\t').map(h => h.trim());
+        if (headers.includes('PT') && headers.includes('TI') && (headers.includes('AU') || headers.includes('AF'))) {
+            return 'wos';
         }
+    }
+
+    // The header row may hold quoted names with commas or line breaks, so it is read like any record
+    const tokenizer = createCSVTokenizer();
+    const sample = text.substring(0, 65536);
+    const [headerRow = []] = tokenizer.push(sample).concat(tokenizer.end());
+    const headers = headerRow.map(h => h.trim());
+    if (headers.includes('Title') && headers.includes('Source title') && (headers.includes('EID') || headers.includes('Authors'))) {
+        return 'scopus';
+    }
+
+    return null;
+}
+
+// One vendor export row -> { paper }, or { reason } when it is skipped; blank lines give {}
+function databaseExportRowToPaperData(format, headers, values) {
+    if (values.every(value => !value.trim())) return {}; // Blank line
+
+    if (values.length < Math.min(headers.length, 3)) {
+        return { reason: 'too few columns' };
+    }
+
+    const record = {};
+    headers.forEach((header, index) => {
+        record[header] = (values[index] || '').trim();
+    });
+
+    const paper = format === 'wos' ? wosRowToPaperData(record) : scopusRowToPaperData(record);
+    return paper.title ? { paper } : { reason: 'missing title' };
+}
+
+// Web of Science tab-delimited record -> paper fields
+function wosRowToPaperData(record) {
+    const authors = (record.AF || record.AU || '').split(';').map(name => toFirstLastName(name.trim())).filter(name => name);
+    const documentType = (record.DT || '').toLowerCase();
+
+    let itemType = 'article';
+    if (record.PT === 'C' || documentType.includes('proceedings')) {
+        itemType = 'inproceedings';
+    } else if (record.PT === 'B' || documentType.includes('book')) {
+        itemType = 'book';
+    }
+
+    const pages = record.BP && record.EP ? `${record.BP}-${record.EP}` : (record.BP || record.AR || '');
+
+    return {
+        itemType,
+        title: record.TI || '',
+        authors: authors.join(', '),
+        year: record.PY || '',
+        journal: record.SO || '',
+        volume: record.VL || '',
+        issue: record.IS || '',
+        pages,
+        doi: record.DI || '',
+        issn: record.SN || record.EI || '',
+        keywords: (record.DE || '').split(';').map(k => k.trim()).filter(k => k).join(', '),
+        abstract: record.AB || '',
+        language: LANGUAGE_NAME_MAP[(record.LA || '').toLowerCase()] || '',
+        pmid: record.PM || '',
+        citationCount: record.TC || ''
     };
-    
-    reader.onerror = function() {
-        alert('Error reading file');
+}
+
+// Scopus CSV record -> paper fields
+function scopusRowToPaperData(record) {
+    let authors;
+    if (record['Author full names']) {
+        // "Smith, John (12345678); Doe, Jane (87654321)"
+        authors = record['Author full names'].split(';').map(name => toFirstLastName(name.replace(/\s*\(\d+\)\s*$/, '')));
+    } else {
+        const authorList = record.Authors || '';
+        authors = (authorList.includes(';') ? authorList.split(';') : authorList.split(/,\s+/)).map(name => name.trim());
+    }
+
+    const documentType = (record['Document Type'] || '').toLowerCase();
+    let itemType = 'misc';
+    if (['article', 'review', 'letter', 'note', 'editorial', 'short survey'].includes(documentType)) {
+        itemType = 'article';
+    } else if (documentType.startsWith('conference')) {
+        itemType = 'inproceedings';
+    } else if (documentType.startsWith('book')) {
+        itemType = 'book';
+    }
+
+    const pageStart = record['Page start'];
+    const pageEnd = record['Page end'];
+    const abstract = record.Abstract === '[No abstract available]' ? '' : (record.Abstract || '');
+    const language = (record['Language of Original Document'] || '').split(';')[0].trim().toLowerCase();
+
+    return {
+        itemType,
+        title: record.Title || '',
+        authors: authors.filter(name => name).join(', '),
+        year: record.Year || '',
+        journal: record['Source title'] || '',
+        volume: record.Volume || '',
+        issue: record.Issue || '',
+        pages: pageStart && pageEnd ? `${pageStart}-${pageEnd}` : (pageStart || record['Art. No.'] || ''),
+        doi: record.DOI || record.Link || '',
+        url: record.Link || '',
+        issn: record.ISSN || '',
+        keywords: (record['Author Keywords'] || '').split(';').map(k => k.trim()).filter(k => k).join(', '),
+        abstract,
+        language: LANGUAGE_NAME_MAP[language] || '',
+        pmid: record['PubMed ID'] || '',
+        citationCount: record['Cited by'] || ''
     };
-    
-    reader.readAsText(file);
 }
 
-// Import from JSON format
-function importJSON(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    // Validate file type
-    if (!file.name.toLowerCase().endsWith('.json')) {
-        alert('Please select a JSON file');
-        return;
+// Review the papers from a vendor export, listing what was skipped
+function reviewDatabaseExport(records, summary) {
+    let skippedText = '';
+    if (summary.skipped.length > 0) {
+        // Group skip reasons by the line each record starts on: "2 missing title (lines 4, 9)"
+        const reasons = {};
+        summary.skipped.forEach(skip => {
+            if (!reasons[skip.reason]) reasons[skip.reason] = [];
+            if (skip.line) reasons[skip.reason].push(skip.line);
+        });
+        const details = Object.entries(reasons).map(([reason, lines]) => {
+            const count = summary.skipped.filter(skip => skip.reason === reason).length;
+            const lineList = lines.length > 0 ? ` (lines ${lines.slice(0, 10).join(', ')}${lines.length > 10 ? ', ...' : ''})` : '';
+            return `• ${count} ${reason}${lineList}`;
+        });
+        skippedText = `Skipped ${summary.skipped.length} records:\n${details.join('\n')}`;
     }
-    
-    // Validate file size (limit to 10MB)
-    if (file.size > 10 * 1024 * 1024) {
-        alert('File is too large. Please select a file smaller than 10MB');
-        return;
+
+    if (records.length > 0) {
+        showImportReview(records, { source: summary.source, notes: skippedText });
+    } else {
+        alert(`No valid papers found in the ${summary.source} export${skippedText ? `\n\n${skippedText}` : ''}`);
     }
-    
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        try {
-            const jsonData = JSON.parse(e.target.result);
-            
-            // Validate JSON structure
-            if (!jsonData.papers || !Array.isArray(jsonData.papers)) {
-                alert('Invalid JSON format. Expected "papers" array.');
-                return;
+}
+
+// Parse RIS content into paper data objects
+function parseRIS(content) {
+    const records = [];
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const tagPattern = /^([A-Z][A-Z0-9])\s{1,2}-(?: (.*))?$/;
+
+    let record = null;
+    let lastTag = null;
+
+    for (const rawLine of lines) {
+        const line = rawLine.replace(/\s+$/, '');
+        const match = line.match(tagPattern);
+
+        if (!match) {
+            // Continuation of the previous tag's value, kept as written (blank lines and indents
+            // included) apart from the one escape space buildRIS adds
+            if (record && lastTag) {
+                const values = record[lastTag];
+                values[values.length - 1] += `\n${rawLine.replace(/^ /, '')}`;
             }
-            
-            let importCount = 0;
-            let pdfRestoreCount = 0;
-            const maxRows = 1000; // Prevent memory issues
-            
-            for (let i = 0; i < Math.min(jsonData.papers.length, maxRows); i++) {
-                const paperData = jsonData.papers[i];
+            continue;
+        }
+
+        const tag = match[1];
+        const value = (match[2] || '').trim();
+
+        if (tag === 'TY') {
+            record = { TY: [value] };
+            lastTag = 'TY';
+            continue;
+        }
+
+        if (!record) continue;
+
+        if (tag === 'ER') {
+            records.push(record);
+            record = null;
+            lastTag = null;
+            continue;
+        }
+
+        if (!record[tag]) record[tag] = [];
+        record[tag].push(value);
+        lastTag = tag;
+    }
+
+    // Tolerate a missing final ER line
+    if (record) records.push(record);
+
+    // Blank lines between a value and the next tag are spacing, not part of the value
+    records.forEach(parsed => Object.values(parsed).forEach(values => {
+        values.forEach((value, index) => {
+            values[index] = value.replace(/(?:\n[ \t]*)+$/, '');
+        });
+    }));
+
+    return records.map(risRecordToPaperData).filter(paper => paper.title);
+}
+
+// Map a parsed RIS record onto paper fields
+function risRecordToPaperData(record) {
+    const first = (...tags) => {
+        for (const tag of tags) {
+            if (record[tag] && record[tag][0]) return record[tag][0];
+        }
+        return '';
+    };
+    const all = (...tags) => tags.reduce((values, tag) => values.concat(record[tag] || []), []).filter(v => v);
+
+    const startPage = first('SP');
+    const endPage = first('EP');
+    const urls = all('UR', 'L2');
+    const doi = first('DO', 'M3').replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+
+    const paper = {
+        itemType: RIS_TYPE_MAP[first('TY').toUpperCase()] || 'misc',
+        title: first('TI', 'T1', 'CT', 'BT'),
+        authors: all('AU', 'A1').map(toFirstLastName).join(', '),
+        year: first('PY', 'Y1', 'DA'),
+        journal: first('T2', 'JO', 'JF', 'JA', 'J2', 'BT'),
+        volume: first('VL'),
+        issue: first('IS'),
+        pages: startPage && endPage ? `${startPage}-${endPage}` : startPage,
+        doi: /^10\.\d{4,}/.test(doi) ? doi : (urls[0] || ''),
+        url: urls[0] || '',
+        issn: first('SN'),
+        pmid: /^\d+$/.test(first('AN')) ? first('AN') : '', // Only PubMed-style numeric accession numbers
+        keywords: all('KW').join(', '),
+        abstract: first('AB', 'N2'),
+        notes: all('N1').join('\n'),
+        language: first('LA')
+    };
+
+    // The journal-title fallback above must not duplicate a book title used as the main title
+    if (paper.journal === paper.title) paper.journal = '';
+
+    Object.entries(RIS_TRACKER_TAGS).forEach(([tag, field]) => {
+        const value = first(tag);
+        if (value) paper[field] = value;
+    });
+
+    return paper;
+}
+
+// Import/Export help modal
+function showCSVImportInstructions() {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3>📚 Import/Export Formats</h3>
+                <button class="close-btn">&times;</button>
+            </div>
+            <div class="modal-body">
+                <h4>📄 JSON Format (Recommended)</h4>
+                <p><strong>Best for:</strong> Data portability, backup, and advanced users</p>
+                <ul>
+                    <li><strong>Structure:</strong> Hierarchical data with metadata</li>
+                    <li><strong>PDF Support:</strong> Full PDF information preserved</li>
+                    <li><strong>Compatibility:</strong> Works with any modern tool</li>
+                    <li><strong>Human Readable:</strong> Easy to edit manually</li>
+                </ul>
                 
-                // Create paper object with validation
-                const paper = {
-                    id: nextId++,
-                    // New JSON structure fields
-                    itemType: paperData.itemType || 'article',
-                    title: paperData.title || '',
-                    authors: paperData.authors || '',
-                    year: paperData.year || '',
-                    journal: paperData.journal || '',
-                    volume: paperData.volume || '',
-                    issue: paperData.issue || '',
-                    pages: paperData.pages || '',
-                    doi: paperData.doi || '',
-                    url: paperData.url || paperData.doi || '',
-                    issn: paperData.issn || '',
-                    language: paperData.language || 'en',
-                    dateAdded: paperData.dateAdded || new Date().toISOString().split('T')[0],
-                    keywords: paperData.keywords || '',
-                    abstract: paperData.abstract || '',
-                    relevance: paperData.relevance || '',
-                    // Legacy fields for backward compatibility
-                    status: ['to-read', 'reading', 'read', 'skimmed'].includes(paperData.status) ? paperData.status : 'to-read',
-                    priority: ['low', 'medium', 'high'].includes(paperData.priority) ? paperData.priority : 'medium',
-                    rating: paperData.rating || '',
-                    keyPoints: paperData.keyPoints || paperData.abstract || '',
-                    notes: paperData.notes || paperData.relevance || '',
-                    citation: paperData.citation || '',
-                    chapter: paperData.chapter || '',
-                    
-                    // Handle PDF data (both old and new format)
-                    hasPDF: paperData.pdf ? (paperData.pdf.hasPDF || false) : (paperData.hasPDF || false),
-                    pdfSource: paperData.pdf ? (paperData.pdf.source || 'none') : (paperData.pdfSource || 'none'),
-                    pdfPath: paperData.pdf ? (paperData.pdf.path || '') : (paperData.pdfPath || ''),
-                    pdfFilename: paperData.pdf ? (paperData.pdf.filename || '') : (paperData.pdfFilename || ''),
-                    pdfBlobUrl: null,
-                    pdfHandle: null
-                };
+                <h4>📚 BibTeX Format (Academic Standard)</h4>
+                <p><strong>Best for:</strong> Academic writing, LaTeX, dissertation work</p>
+                <ul>
+                    <li><strong>Academic Standard:</strong> Used by universities worldwide</li>
+                    <li><strong>LaTeX Integration:</strong> Perfect for dissertation writing</li>
+                    <li><strong>Citation Managers:</strong> Works with Zotero, EndNote, Mendeley</li>
+                    <li><strong>Open Source:</strong> No licensing restrictions</li>
+                    <li><strong>Real-World Files:</strong> Multi-line and quoted values, nested braces, @string macros and crossref</li>
+                    <li><strong>BibLaTeX:</strong> date, journaltitle, eprint/eprinttype and urldate are understood</li>
+                    <li><strong>Warnings:</strong> Problem entries are reported by line and citation key</li>
+                    <li><strong>Export Modes:</strong> Classic BibTeX or BibLaTeX (date, journaltitle, eprint), chosen in Settings</li>
+                    <li><strong>Citation Keys:</strong> Each paper keeps its key between exports; imported keys are kept, and the pattern is set in Settings</li>
+                    <li><strong>Accents:</strong> LaTeX accents such as {\\"u} become ü on import and are written back as LaTeX on export (or as UTF-8 for biber, see Settings)</li>
+                </ul>
                 
-                // Try to restore PDF if file path exists
-                if (paper.hasPDF && paper.pdfPath && paper.pdfSource === 'file') {
-                    if (await tryRestorePDFFromPath(paper)) {
-                        pdfRestoreCount++;
-                    }
-                }
+                <h4>📑 RIS Format (Reference Managers)</h4>
+                <p><strong>Best for:</strong> EndNote, Zotero, Mendeley, Scopus and publisher "cite" buttons</p>
+                <ul>
+                    <li><strong>Widely Supported:</strong> Exported by most databases and journals</li>
+                    <li><strong>Round-Trip:</strong> Tracker fields (status, priority, chapter...) are kept in custom tags</li>
+                </ul>
                 
-                papers.push(paper);
-                importCount++;
-            }
-            
-            if (importCount > 0) {
-                showSummary();
-                updateStats();
-                showSummary();
-                storage.save();
+                <h4>🔗 CSL-JSON Format (Zotero &amp; Pandoc)</h4>
+                <p><strong>Best for:</strong> Markdown writing with Pandoc, Zotero, any citeproc-based tool</p>
+                <ul>
+                    <li><strong>Structured Names:</strong> Authors exported as family/given name objects</li>
+                    <li><strong>Round-Trip:</strong> Tracker fields are kept in the CSL "custom" object</li>
+                </ul>
                 
-                let message = `Successfully imported ${importCount} papers from JSON`;
-                if (pdfRestoreCount > 0) {
-                    message += ` and restored ${pdfRestoreCount} PDF references`;
-                }
-                alert(message);
-            } else {
-                alert('No valid papers found in the JSON file');
+                <h4>📝 Word Bibliography (Export)</h4>
+                <p><strong>Best for:</strong> Word's built-in citation manager (References → Manage Sources → Browse)</p>
+                <ul>
+                    <li><strong>Same Keys:</strong> Source tags match the BibTeX citation keys</li>
+                    <li><strong>Selection:</strong> Export the whole library or only the papers you tick</li>
+                </ul>
+                
+                <h4>🗂️ EndNote XML (Import)</h4>
+                <p><strong>Best for:</strong> Moving an existing EndNote library (File → Export → XML)</p>
+                <ul>
+                    <li><strong>Large Libraries:</strong> Thousands of records are processed in the background</li>
+                    <li><strong>Mapped Fields:</strong> Authors, titles, periodical, dates, keywords, abstract, notes, URLs and DOI</li>
+                </ul>
+                
+                <h4>🧬 PubMed MEDLINE (Import)</h4>
+                <p><strong>Best for:</strong> PubMed search results saved as "PubMed" format (.nbib / .txt)</p>
+                <ul>
+                    <li><strong>MeSH Terms:</strong> Headings and author keywords become tracker keywords</li>
+                    <li><strong>Identifiers:</strong> PMID and PMCID are kept and exported with each paper</li>
+                </ul>
+                
+                <h4>🔎 Web of Science &amp; Scopus (Import)</h4>
+                <p><strong>Best for:</strong> Systematic searches exported as WoS "Tab-delimited" or Scopus CSV</p>
+                <ul>
+                    <li><strong>Auto-Detected:</strong> Recognised by their header rows, even through "Import CSV"</li>
+                    <li><strong>Mapped Fields:</strong> Authors, source title, DOI, abstract, author keywords and times cited</li>
+                    <li><strong>Skip Report:</strong> Rows that cannot be imported are listed with the reason</li>
+                </ul>
+                
+                <h4>🌐 Publisher Web Pages (Import)</h4>
+                <p><strong>Best for:</strong> Adding a paper straight from its landing page, without the AI prompt</p>
+                <ul>
+                    <li><strong>How:</strong> Paste the page source (Ctrl+U, select all, copy) into the smart input, or save the page and use "Import HTML Page"</li>
+                    <li><strong>Read From:</strong> Highwire Press (citation_*), PRISM, Dublin Core, Open Graph and JSON-LD ScholarlyArticle tags</li>
+                    <li><strong>Review:</strong> The extracted details open in the preview so you can fix them before adding</li>
+                </ul>
+                
+                <h4>🗄️ Full Backup (Export &amp; Restore)</h4>
+                <p><strong>Best for:</strong> Moving to another computer or browser, or before clearing site data</p>
+                <ul>
+                    <li><strong>Contents:</strong> Library, settings, theme and every PDF stored in the browser</li>
+                    <li><strong>Checksums:</strong> manifest.json lists each file; a damaged backup is refused before anything changes</li>
+                    <li><strong>Restore:</strong> Replaces the current library and relinks each paper to its PDF</li>
+                </ul>
+                
+                <h4>📥 CSV Format (Universal)</h4>
+                <p><strong>Best for:</strong> Basic compatibility, spreadsheet users</p>
+                <ul>
+                    <li><strong>Universal:</strong> Works with Excel, Google Sheets</li>
+                    <li><strong>Simple:</strong> Easy to understand and edit</li>
+                    <li><strong>Backward Compatible:</strong> Old files still work</li>
+                    <li><strong>Header Matching:</strong> Columns are matched by name, in any order</li>
+                    <li><strong>Column Mapping:</strong> Unknown headers can be mapped by hand and saved as presets</li>
+                    <li><strong>Delimiters:</strong> Comma, semicolon and tab separated files are detected automatically</li>
+                    <li><strong>Quoted Fields:</strong> Line breaks, commas and doubled quotes inside quotes are kept intact</li>
+                    <li><strong>Error Report:</strong> Malformed rows are skipped and reported by line (as numbered in a text editor) and column</li>
+                    <li><strong>PDF Support:</strong> File paths and metadata included</li>
+                </ul>
+                
+                <h4>🔄 Import Features</h4>
+                <ul>
+                    <li><strong>All Formats:</strong> Automatic PDF restoration when possible</li>
+                    <li><strong>Validation:</strong> Data integrity checks and error handling</li>
+                    <li><strong>Review First:</strong> Records are listed with warnings before anything is added; likely duplicates can be skipped, overwritten, merged or imported as new</li>
+                    <li><strong>Migration:</strong> Convert between formats seamlessly</li>
+                    <li><strong>Large Files:</strong> No row limit; files up to 100MB are read in the background with a progress bar and a Cancel button (saved web pages are read on the page, up to 10MB)</li>
+                </ul>
+                
+                <div class="modal-actions">
+                    <button class="btn" onclick="this.closest('.modal').remove()">Got it!</button>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    modal.style.display = 'block';
+    
+    // Close modal handlers
+    modal.querySelector('.close-btn').onclick = () => modal.remove();
+    modal.onclick = (e) => {
+        if (e.target === modal) modal.remove();
+    };
+}
+
+// Streaming RFC 4180 tokenizer. Feed text with push() as it arrives and call end() at EOF;
+// both return the records completed so far as arrays of fields, and `recordLines` then holds the
+// line each of those records starts on. Lines are physical lines, as an editor numbers them, so a
+// quoted field with line breaks moves the count on.
+// Handles quoted delimiters and line breaks, doubled quotes, CRLF/LF/CR line endings and a leading BOM.
+// Malformed records are skipped and reported in `errors` with their line and column.
+function createCSVTokenizer(options = {}) {
+    const delimiter = options.delimiter || ',';
+    const useQuotes = options.quotes !== false; // Tab-delimited vendor exports treat quotes as plain text
+    const MAX_FIELD_LENGTH = 100000; // Guard against runaway quoted fields
+
+    const errors = [];
+    const tokenizer = { push, end, errors, recordLines: [] };
+    let field = '';
+    let record = [];
+    let state = 'fieldStart'; // fieldStart | unquoted | quoted | quoteInQuoted
+    let line = 1; // Line at the current character
+    let recordLine = 1; // Line the current record started on
+    let previousCR = false;
+    let recordError = null;
+    let skipNextLF = false;
+    let atStart = true;
+
+    const fail = (message, atLine = line) => {
+        if (!recordError) {
+            recordError = { line: atLine, column: record.length + 1, message };
+        }
+    };
+
+    const appendChar = (char) => {
+        if (field.length >= MAX_FIELD_LENGTH) {
+            fail('field is too long');
+            return;
+        }
+        field += char;
+    };
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+        state = 'fieldStart';
+    };
+
+    const endRecord = (output) => {
+        endField();
+        const blank = record.length === 1 && record[0] === '';
+        if (recordError) {
+            errors.push(recordError);
+        } else if (!blank) { // Blank lines produce no record
+            output.push(record);
+            tokenizer.recordLines.push(recordLine);
+        }
+        record = [];
+        recordError = null;
+        recordLine = line;
+    };
+
+    function push(chunk) {
+        const output = [];
+        tokenizer.recordLines = [];
+        let text = chunk;
+        if (atStart) {
+            text = text.replace(/^\uFEFF/, '');
+            atStart = text.length === 0;
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // CRLF counts as one line break, also when split across chunks
+            if (char === '\n' ? !previousCR : char === '\r') line++;
+            previousCR = char === '\r';
+
+            if (skipNextLF) {
+                skipNextLF = false;
+                if (char === '\n') continue;
             }
-            
-            // Clear the file input
-            event.target.value = '';
+
+            const isNewline = char === '\n' || char === '\r';
+
+            switch (state) {
+                case 'fieldStart':
+                    if (char === '"' && useQuotes) {
+                        state = 'quoted';
+                        break;
+                    }
+                    state = 'unquoted';
+                    // falls through
+                case 'unquoted':
+                    if (char === delimiter) {
+                        endField();
+                    } else if (isNewline) {
+                        endRecord(output);
+                        skipNextLF = char === '\r';
+                    } else {
+                        if (char === '"' && useQuotes) fail('quote inside an unquoted field');
+                        appendChar(char);
+                    }
+                    break;
+                case 'quoted':
+                    if (char === '"') {
+                        state = 'quoteInQuoted';
+                    } else {
+                        appendChar(char);
+                    }
+                    break;
+                case 'quoteInQuoted':
+                    if (char === '"') {
+                        appendChar('"'); // Escaped quote
+                        state = 'quoted';
+                    } else if (char === delimiter) {
+                        endField();
+                    } else if (isNewline) {
+                        endRecord(output);
+                        skipNextLF = char === '\r';
+                    } else {
+                        fail('unexpected character after closing quote');
+                        appendChar(char);
+                        state = 'unquoted';
+                    }
+                    break;
+            }
+        }
+
+        return output;
+    }
+
+    function end() {
+        const output = [];
+        tokenizer.recordLines = [];
+        if (state === 'quoted') {
+            fail('quoted field is never closed', recordLine);
+        }
+        if (state !== 'fieldStart' || record.length > 0 || recordError) {
+            endRecord(output);
+        }
+        return output;
+    }
+
+    return tokenizer;
+}
+
+// Guess the delimiter of a CSV sample: the candidate giving the most consistent multi-column rows wins
+function detectCSVDelimiter(text) {
+    const sample = text.substring(0, 20000);
+    let best = { delimiter: ',', score: 0 };
+
+    [',', ';', '\t'].forEach(delimiter => {
+        const rows = createCSVTokenizer({ delimiter }).push(sample).slice(0, 10);
+        if (rows.length === 0 || rows[0].length < 2) return;
+
+        const columnCount = rows[0].length;
+        const consistent = rows.filter(values => values.length === columnCount).length / rows.length;
+        const score = consistent * 1000 + columnCount;
+        if (score > best.score) {
+            best = { delimiter, score };
+        }
+    });
+
+    return best.delimiter;
+}
+
+// Human-readable summary of tokenizer errors for import messages
+function formatCSVErrors(errors, limit = 10) {
+    const lines = errors.slice(0, limit).map(error => `• Line ${error.line}, column ${error.column}: ${error.message}`);
+    if (errors.length > limit) {
+        lines.push(`• ...and ${errors.length - limit} more`);
+    }
+    return lines.join('\n');
+}
+
+// Smart input processing function
+// Does the smart input look like pasted page source rather than a title, DOI or JSON?
+function looksLikeHTML(text) {
+    return /<!doctype\s+html|<html[\s>]|<head[\s>]|<meta\s/i.test(text.substring(0, 20000));
+}
+
+// JSON-LD @type values treated as a paper
+const JSON_LD_PAPER_TYPES = {
+    ScholarlyArticle: 'article', MedicalScholarlyArticle: 'article', Article: 'article', TechArticle: 'article',
+    Book: 'book', Chapter: 'misc', Thesis: 'phdthesis', Report: 'techreport'
+};
+
+// Paper metadata from a publisher page's <meta> tags and JSON-LD, in preview-modal shape.
+// Sources by precedence: Highwire Press (citation_*), PRISM, Dublin Core, JSON-LD, Open Graph.
+// Returns null when the page carries no title in any of them
+function extractHTMLMetadata(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // name/property (lower-case) -> every content value, in page order
+    const meta = new Map();
+    doc.querySelectorAll('meta[content]').forEach(tag => {
+        const key = (tag.getAttribute('name') || tag.getAttribute('property') || '').trim().toLowerCase();
+        const value = (tag.getAttribute('content') || '').trim();
+        if (!key || !value) return;
+        if (!meta.has(key)) meta.set(key, []);
+        meta.get(key).push(value);
+    });
+    const all = (...keys) => keys.flatMap(key => meta.get(key) || []);
+    const first = (...keys) => all(...keys)[0] || '';
+
+    // First JSON-LD object whose @type looks like a paper (top level, arrays and @graph)
+    let ld = null;
+    const visit = node => {
+        if (ld || !node || typeof node !== 'object') return;
+        if (Array.isArray(node)) return node.forEach(visit);
+        const types = [].concat(node['@type'] || []);
+        if (types.some(type => JSON_LD_PAPER_TYPES[type])) {
+            ld = node;
+            return;
+        }
+        if (node['@graph']) visit(node['@graph']);
+    };
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            visit(JSON.parse(script.textContent));
         } catch (error) {
-            console.error('JSON import error:', error);
-            alert('Error importing JSON file. Please check the file format.');
+            console.warn('Skipping unreadable JSON-LD block:', error);
         }
+    });
+    ld = ld || {};
+    const ldText = value => {
+        if (Array.isArray(value)) return ldText(value[0]);
+        if (value && typeof value === 'object') return String(value.name || value['@value'] || value.value || '');
+        return value === undefined || value === null ? '' : String(value);
+    };
+    const ldType = [].concat(ld['@type'] || []).map(type => JSON_LD_PAPER_TYPES[type]).find(Boolean);
+    const ldPart = ld.isPartOf && typeof ld.isPartOf === 'object' ? ld.isPartOf : {};
+
+    const cleanText = text => String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    // "Last, First" -> "First Last" so names can be joined with commas
+    const authorName = name => {
+        const parts = cleanText(name).split(/\s*,\s*/);
+        return parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : cleanText(name);
+    };
+
+    const title = cleanText(first('citation_title', 'prism.title', 'dc.title', 'dcterms.title') || ldText(ld.headline || ld.name) || first('og:title'));
+    if (!title) return null;
+
+    let authors = all('citation_author');
+    if (authors.length === 0) authors = all('dc.creator', 'dcterms.creator');
+    if (authors.length === 0) authors = [].concat(ld.author || []).map(ldText);
+    // Highwire sometimes packs every author into one tag separated by semicolons
+    authors = authors.flatMap(author => author.split(/\s*;\s*/)).map(authorName).filter(Boolean);
+
+    const date = first('citation_publication_date', 'citation_date', 'citation_online_date', 'citation_cover_date',
+        'prism.publicationdate', 'prism.coverdate', 'dc.date', 'dcterms.issued', 'dcterms.date') ||
+        ldText(ld.datePublished) || first('article:published_time');
+    const yearMatch = date.match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+
+    const identifiers = [
+        ...all('citation_doi', 'prism.doi', 'dc.identifier', 'dcterms.identifier'),
+        ...[].concat(ld.identifier || [], ld.sameAs || [], ld['@id'] || []).map(ldText)
+    ];
+    const doiMatch = identifiers.map(id => id.match(/(10\.\d{4,9}\/[^\s"<>]+)/)).find(Boolean);
+    const canonical = doc.querySelector('link[rel="canonical"]');
+    const pageUrl = first('citation_abstract_html_url', 'citation_fulltext_html_url', 'citation_public_url', 'og:url') ||
+        (canonical ? canonical.getAttribute('href') || '' : '');
+
+    const firstPage = first('citation_firstpage', 'prism.startingpage') || ldText(ld.pageStart);
+    const lastPage = first('citation_lastpage', 'prism.endingpage') || ldText(ld.pageEnd);
+    const pages = firstPage ? (lastPage && lastPage !== firstPage ? `${firstPage}-${lastPage}` : firstPage) : ldText(ld.pagination);
+
+    const keywordValues = [...all('citation_keywords', 'dc.subject', 'dcterms.subject', 'keywords'), ...[].concat(ld.keywords || []).map(ldText)];
+    const keywords = Array.from(new Set(keywordValues.flatMap(value => value.split(/\s*[;,]\s*/)).map(cleanText).filter(Boolean)));
+
+    const languageValue = (first('citation_language', 'dc.language', 'dcterms.language') || ldText(ld.inLanguage) || '').toLowerCase();
+    const language = LANGUAGE_NAME_MAP[languageValue] || (/^[a-z]{2}\b/.test(languageValue) ? languageValue.substring(0, 2) : 'en');
+
+    let itemType = ldType || 'article';
+    if (meta.has('citation_conference_title')) itemType = 'inproceedings';
+    else if (meta.has('citation_dissertation_institution')) itemType = 'phdthesis';
+    else if (meta.has('citation_technical_report_institution')) itemType = 'techreport';
+    else if (!meta.has('citation_journal_title') && first('og:type') === 'book') itemType = 'book';
+
+    return {
+        itemType,
+        title,
+        authors: authors.join(', '),
+        year: yearMatch ? yearMatch[1] : '',
+        keywords: keywords.join(', '),
+        journal: cleanText(first('citation_journal_title', 'citation_conference_title', 'citation_book_title', 'prism.publicationname',
+            'citation_dissertation_institution', 'citation_technical_report_institution') || ldText(ldPart.name) || ldText(ld.publisher)),
+        volume: first('citation_volume', 'prism.volume') || ldText(ld.volumeNumber || ldPart.volumeNumber),
+        issue: first('citation_issue', 'prism.number', 'prism.issueidentifier') || ldText(ld.issueNumber || ldPart.issueNumber),
+        pages,
+        doi: doiMatch ? doiMatch[1].replace(/[.,;]$/, '') : (validateUrl(pageUrl) || ''),
+        issn: first('citation_issn', 'prism.issn', 'prism.eissn') || ldText(ldPart.issn),
+        abstract: cleanText(first('citation_abstract', 'dcterms.abstract', 'dc.description', 'dcterms.description') ||
+            ldText(ld.abstract || ld.description) || first('og:description', 'description')).substring(0, 2000),
+        language,
+        pdf: validateUrl(first('citation_pdf_url')) || ''
     };
-    
-    reader.readAsText(file);
 }
 
-// Import from BibTeX format
-function importBibTeX(event) {
+// Import a saved publisher page (.html) and review what its meta tags describe.
+// Not streamed through import-worker.js: DOMParser is not available in workers, so the page is
+// read here and kept to 10MB, far above a saved article page
+function importHTMLPage(event) {
     const file = event.target.files[0];
     if (!file) return;
 
     // Validate file type
-    if (!file.name.toLowerCase().endsWith('.bib')) {
-        alert('Please select a BibTeX file (.bib)');
+    if (!/\.(html?|xhtml)$/i.test(file.name)) {
+        alert('Please select a saved web page (.html or .htm)');
         return;
     }
 
@@ -2100,316 +7299,339 @@ function importBibTeX(event) {
     }
 
     const reader = new FileReader();
-    reader.onload = async function(e) {
+    reader.onload = function(e) {
         try {
-            const bibtexContent = e.target.result;
-            const bibtexPapers = parseBibTeX(bibtexContent); // Fixed: renamed to avoid shadowing global papers
-
-            let importCount = 0;
-            const maxRows = 1000; // Prevent memory issues
-
-            for (let i = 0; i < Math.min(bibtexPapers.length, maxRows); i++) {
-                const bibtexPaper = bibtexPapers[i];
-
-                // Create paper object from BibTeX entry
-                const paper = {
-                    id: nextId++,
-                    itemType: bibtexPaper.itemType || 'article', // Map entry type
-                    title: bibtexPaper.title || '',
-                    authors: bibtexPaper.author || '',
-                    year: bibtexPaper.year || '',
-                    journal: bibtexPaper.journal || bibtexPaper.booktitle || '', // Conference papers use booktitle
-                    volume: bibtexPaper.volume || '', // Fixed: added volume mapping
-                    issue: bibtexPaper.issue || bibtexPaper.number || '', // Fixed: added issue/number mapping
-                    pages: bibtexPaper.pages || '', // Fixed: added pages mapping
-                    issn: bibtexPaper.issn || '', // Fixed: added ISSN mapping
-                    keywords: bibtexPaper.keywords || '',
-                    abstract: bibtexPaper.abstract || '', // Fixed: added abstract mapping
-                    status: 'to-read', // Default status
-                    priority: 'medium', // Default priority
-                    rating: '',
-                    dateAdded: new Date().toISOString().split('T')[0],
-                    keyPoints: '',
-                    notes: bibtexPaper.note || '',
-                    relevance: '', // Empty by default
-                    citation: '', // Will be generated
-                    doi: bibtexPaper.doi || bibtexPaper.url || '',
-                    chapter: bibtexPaper.chapter || '',
-                    language: 'en', // Default language
-                    hasPDF: false,
-                    pdfSource: 'none',
-                    pdfPath: '',
-                    pdfFilename: '',
-                    pdfBlobUrl: null,
-                    pdfHandle: null
-                };
-
-                // Generate citation using correct function name
-                paper.citation = formatAPA7Citation(paper); // Fixed: use formatAPA7Citation instead of generateCitation
-
-                papers.push(paper); // Fixed: now pushes to global papers array
-                importCount++;
-            }
-
-            if (importCount > 0) {
-                showSummary();
-                updateStats();
-                showSummary();
-                storage.save();
+            const paperInfo = extractHTMLMetadata(e.target.result);
+            if (paperInfo) {
+                showPreviewModal(paperInfo);
+            } else {
+                alert('No citation metadata (Highwire, Dublin Core, PRISM, Open Graph or JSON-LD) was found in this page.');
+            }
+        } catch (error) {
+            console.error('HTML import error:', error);
+            alert('Error reading the HTML file.');
+        }
+        event.target.value = '';
+    };
+
+    reader.readAsText(file);
+}
+
+// One DOI or arXiv identifier per line (bare, prefixed or as a doi.org/arxiv.org link).
+// Returns preview records, or null unless every line is an identifier (a single one is fine)
+function parseIdentifierList(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim().replace(/[.,;]$/, '')).filter(Boolean);
+    if (lines.length === 0) return null;
+
+    const records = [];
+    for (const line of lines) {
+        const doi = line.match(/^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i);
+        const arxiv = line.match(/^(?:arxiv:\s*|https?:\/\/arxiv\.org\/(?:abs|pdf)\/)?(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[a-z]{2})?\/\d{7}(?:v\d+)?)(?:\.pdf)?$/i);
+        if (doi) {
+            records.push({ doi: doi[1] });
+        } else if (arxiv) {
+            const url = `https://arxiv.org/abs/${arxiv[1]}`;
+            records.push({ doi: url, url, journal: 'arXiv preprint' });
+        } else {
+            return null;
+        }
+    }
+    return records;
+}
 
-                alert(`Successfully imported ${importCount} papers from BibTeX`);
-            } else {
-                alert('No valid papers found in the BibTeX file');
-            }
+// Recognise structured text pasted into the smart input and run it through the matching parser.
+// Returns { format, records, warnings } or null for free-form text (and the tracker's own JSON)
+function parseStructuredSmartInput(text) {
+    const trimmed = text.trim();
 
-            // Clear the file input
-            event.target.value = '';
+    if (looksLikeHTML(trimmed)) {
+        const paperInfo = extractHTMLMetadata(trimmed);
+        return { format: 'HTML', records: paperInfo ? [paperInfo] : [], warnings: '' };
+    }
+
+    if (/^[[{]/.test(trimmed)) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
         } catch (error) {
-            console.error('BibTeX import error:', error);
-            alert('Error importing BibTeX file. Please check the file format.');
+            return null;
         }
-    };
+        // CSL-JSON items carry a CSL "type"; the tracker's JSON uses itemType instead
+        const items = Array.isArray(data) ? data : [data];
+        const isCSL = items.length > 0 && items.every(item => item && typeof item === 'object' &&
+            typeof item.type === 'string' && (item.author || item.issued || item['container-title'] || item.DOI));
+        return isCSL ? { format: 'CSL-JSON', records: parseCSLJSON(trimmed), warnings: '' } : null;
+    }
 
-    reader.readAsText(file);
+    // An entry may follow % comments or other text, which BibTeX itself ignores
+    if (/^\s*@[a-z]+\s*[{(]/im.test(trimmed)) {
+        const result = parseBibTeX(trimmed);
+        return { format: 'BibTeX', records: result.papers, warnings: formatBibTeXWarnings(result.warnings) };
+    }
+
+    if (/^TY\s{1,2}- /m.test(trimmed)) {
+        return { format: 'RIS', records: parseRIS(trimmed), warnings: '' };
+    }
+
+    if (/^PMID- /m.test(trimmed) || (/^TI  - /m.test(trimmed) && /^(FAU|AU) - /m.test(trimmed))) {
+        return { format: 'MEDLINE', records: parseMEDLINE(trimmed), warnings: '' };
+    }
+
+    const identifiers = parseIdentifierList(trimmed);
+    return identifiers ? { format: 'identifier list', records: identifiers, warnings: '' } : null;
 }
 
-// Parse BibTeX content
-function parseBibTeX(content) {
-    const papers = [];
-    const entries = content.split('@');
-
-    for (let entry of entries) {
-        if (!entry.trim()) continue;
-
-        const lines = entry.split('\n');
-        const paper = {};
-
-        // Extract entry type from first line (e.g., @article{, @inproceedings{, @book{)
-        const firstLine = lines[0].trim();
-        const typeMatch = firstLine.match(/^(\w+)\s*\{/);
-        if (typeMatch) {
-            const entryType = typeMatch[1].toLowerCase();
-            // Map BibTeX entry types to our itemType field
-            switch (entryType) {
-                case 'article':
-                    paper.itemType = 'article';
-                    break;
-                case 'inproceedings':
-                case 'conference':
-                    paper.itemType = 'inproceedings';
-                    break;
-                case 'book':
-                    paper.itemType = 'book';
-                    break;
-                case 'techreport':
-                case 'report':
-                    paper.itemType = 'techreport';
-                    break;
-                case 'phdthesis':
-                case 'mastersthesis':
-                    paper.itemType = 'phdthesis';
-                    break;
-                default:
-                    paper.itemType = 'misc';
-            }
-        }
+// Fields an AI response may fill, as listed in the showAIPrompt template
+const AI_RESPONSE_FIELDS = ['itemType', 'title', 'authors', 'year', 'keywords', 'journal', 'volume', 'issue', 'pages', 'doi', 'issn', 'chapter', 'abstract', 'relevance', 'language', 'citation', 'pdf'];
 
-        for (let line of lines) {
-            line = line.trim();
-            if (!line || line.startsWith('%') || line === '{' || line === '}') continue;
+// Pull the JSON object or array out of a pasted AI answer and repair the usual damage:
+// ```json fences, text around it, smart quotes and trailing commas. accept() can reject a value
+// (e.g. a bracketed aside in the preamble) so the search goes on. Returns the parsed value or undefined
+function repairAIResponseJSON(text, accept = () => true) {
+    let source = text.replace(/^\uFEFF/, '');
 
-            // Extract field name and value
-            const match = line.match(/^(\w+)\s*=\s*\{([^}]*)\},?\s*$/);
-            if (match) {
-                const fieldName = match[1].toLowerCase();
-                const fieldValue = match[2].trim();
+    // Prefer the contents of a fenced code block when there is one
+    const fence = source.match(/```[a-z]*\s*\n?([\s\S]*?)```/i);
+    if (fence && /[[{]/.test(fence[1])) source = fence[1];
 
-                // Map BibTeX fields to our paper fields
-                switch (fieldName) {
-                    case 'title':
-                        paper.title = fieldValue;
-                        break;
-                    case 'author':
-                        paper.author = fieldValue;
-                        break;
-                    case 'year':
-                        paper.year = fieldValue;
-                        break;
-                    case 'journal':
-                        paper.journal = fieldValue;
-                        break;
-                    case 'booktitle': // Fixed: added booktitle for conference papers
-                        paper.booktitle = fieldValue;
-                        break;
-                    case 'volume': // Fixed: added volume
-                        paper.volume = fieldValue;
-                        break;
-                    case 'number': // Fixed: added number (issue)
-                    case 'issue':
-                        paper.number = fieldValue;
-                        paper.issue = fieldValue;
-                        break;
-                    case 'pages': // Fixed: added pages
-                        paper.pages = fieldValue;
-                        break;
-                    case 'doi': // Fixed: added DOI
-                        paper.doi = fieldValue;
-                        break;
-                    case 'issn': // Fixed: added ISSN
-                        paper.issn = fieldValue;
-                        break;
-                    case 'isbn': // Fixed: added ISBN for books
-                        paper.issn = fieldValue; // Store in issn field
-                        break;
-                    case 'abstract': // Fixed: added abstract
-                        paper.abstract = fieldValue;
-                        break;
-                    case 'keywords':
-                        paper.keywords = fieldValue;
-                        break;
-                    case 'note':
-                        paper.note = fieldValue;
-                        break;
-                    case 'chapter':
-                        paper.chapter = fieldValue;
-                        break;
-                    case 'publisher': // Fixed: added publisher (stored in notes)
-                        if (!paper.note) {
-                            paper.note = `Publisher: ${fieldValue}`;
-                        } else {
-                            paper.note += ` | Publisher: ${fieldValue}`;
-                        }
-                        break;
-                    case 'address': // Fixed: added address (stored in notes)
-                        if (!paper.note) {
-                            paper.note = `Address: ${fieldValue}`;
-                        } else {
-                            paper.note += ` | Address: ${fieldValue}`;
-                        }
-                        break;
-                    case 'url':
-                        if (!paper.doi) paper.doi = fieldValue;
-                        paper.url = fieldValue;
-                        break;
-                }
+    // Typographic quotes from chat interfaces and word processors are only swapped when the text
+    // does not parse as is, so curly quotes inside proper string values survive
+    const parsed = parseFirstJSONValue(source, accept);
+    if (parsed !== undefined) return parsed;
+    return parseFirstJSONValue(source.replace(/[\u201C\u201D\u201E\u201F\u2033]/g, '"').replace(/[\u2018\u2019\u201A\u201B\u2032]/g, '\''), accept);
+}
+
+// Parse the first bracketed JSON value in text that accept() takes. A bracket that does not open
+// valid JSON ("I found 2 papers [see below]:") is skipped and the search retried from the next one
+function parseFirstJSONValue(source, accept = () => true) {
+    const opener = /[[{]/g;
+    let match;
+    while ((match = opener.exec(source)) !== null) {
+        const value = parseJSONValueAt(source, match.index);
+        if (value !== undefined && accept(value)) return value;
+    }
+    return undefined;
+}
+
+// Parse the JSON value opened by the bracket at start, dropping trailing commas and escaping raw
+// line breaks in strings. Returns undefined when it does not close or parse
+function parseJSONValueAt(source, start) {
+    // Copy up to the bracket that closes the first one, dropping commas that directly precede } or ]
+    let output = '';
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < source.length; i++) {
+        const char = source[i];
+        if (inString) {
+            if (char === '\\') {
+                output += char + (source[i + 1] || '');
+                i++;
+                continue;
             }
+            if (char === '"') inString = false;
+            // Raw line breaks inside strings are invalid JSON; keep them as escapes
+            output += char === '\n' ? '\\n' : char === '\r' ? '' : char;
+            continue;
         }
-
-        if (paper.title) {
-            papers.push(paper);
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            output = output.replace(/,\s*$/, '');
+            if (stack.pop() !== char) return undefined;
+            if (stack.length === 0) {
+                output += char;
+                break;
+            }
         }
+        output += char;
     }
+    if (stack.length > 0) return undefined;
 
-    return papers;
+    try {
+        return JSON.parse(output);
+    } catch (error) {
+        return undefined;
+    }
 }
 
-// Import/Export help modal
-function showCSVImportInstructions() {
+// Paper records from a pasted AI answer: one object, an array, or { "papers": [...] }.
+// Values are normalised to the tracker's strings (author/keyword arrays joined, numbers as text).
+// Returns null when the text holds no paper-shaped JSON
+function extractAIResponsePapers(text) {
+    const data = repairAIResponseJSON(text, value => aiResponseRecords(value) !== null);
+    return data === undefined ? null : aiResponseRecords(data);
+}
+
+// Paper records in a parsed AI answer, or null when it holds none
+function aiResponseRecords(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const items = Array.isArray(data) ? data : Array.isArray(data.papers) ? data.papers : [data];
+    const records = items
+        .filter(item => item && typeof item === 'object' && !Array.isArray(item))
+        .filter(item => Object.keys(item).some(key => AI_RESPONSE_FIELDS.includes(key)))
+        .map(item => {
+            const record = {};
+            AI_RESPONSE_FIELDS.forEach(field => {
+                const value = item[field];
+                if (value === undefined || value === null) return;
+                record[field] = Array.isArray(value) ? value.map(v => String(v).trim()).filter(v => v).join(', ') : String(value).trim();
+            });
+            return record;
+        });
+
+    return records.length > 0 ? records : null;
+}
+
+// Fields editable per paper in the batch preview: [field, label, control]
+const BATCH_PREVIEW_FIELDS = [
+    ['title', 'Title', 'text'], ['authors', 'Authors', 'text'], ['year', 'Year', 'text'],
+    ['journal', 'Journal/Venue', 'text'], ['volume', 'Volume', 'text'], ['issue', 'Issue', 'text'],
+    ['pages', 'Pages', 'text'], ['doi', 'DOI', 'text'], ['keywords', 'Keywords', 'text'],
+    ['chapter', 'Chapter/Topic', 'text'], ['abstract', 'Abstract', 'textarea'], ['relevance', 'Relevance', 'textarea']
+];
+
+// Review several extracted papers at once: each can be accepted or rejected and edited before anything is added
+function showBatchPreviewModal(records) {
+    const itemTypes = [['article', 'Article'], ['inproceedings', 'Conference'], ['book', 'Book'], ['techreport', 'Report'], ['phdthesis', 'Thesis'], ['misc', 'Other']];
+    const meta = record => escapeHtml([record.authors, record.year, record.journal].filter(v => v).join(' • '));
+
     const modal = document.createElement('div');
-    modal.className = 'modal';
+    modal.className = 'modal-overlay';
     modal.innerHTML = `
-        <div class="modal-content">
+        <div class="modal">
             <div class="modal-header">
-                <h3>📚 Import/Export Formats</h3>
-                <button class="close-btn">&times;</button>
+                <h3 class="modal-title">${records.length} Papers Found</h3>
+                <button class="modal-close" data-action="close">&times;</button>
             </div>
-            <div class="modal-body">
-                <h4>📄 JSON Format (Recommended)</h4>
-                <p><strong>Best for:</strong> Data portability, backup, and advanced users</p>
-                <ul>
-                    <li><strong>Structure:</strong> Hierarchical data with metadata</li>
-                    <li><strong>PDF Support:</strong> Full PDF information preserved</li>
-                    <li><strong>Compatibility:</strong> Works with any modern tool</li>
-                    <li><strong>Human Readable:</strong> Easy to edit manually</li>
-                </ul>
-                
-                <h4>📚 BibTeX Format (Academic Standard)</h4>
-                <p><strong>Best for:</strong> Academic writing, LaTeX, dissertation work</p>
-                <ul>
-                    <li><strong>Academic Standard:</strong> Used by universities worldwide</li>
-                    <li><strong>LaTeX Integration:</strong> Perfect for dissertation writing</li>
-                    <li><strong>Citation Managers:</strong> Works with Zotero, EndNote, Mendeley</li>
-                    <li><strong>Open Source:</strong> No licensing restrictions</li>
-                </ul>
-                
-                <h4>📥 CSV Format (Universal)</h4>
-                <p><strong>Best for:</strong> Basic compatibility, spreadsheet users</p>
-                <ul>
-                    <li><strong>Universal:</strong> Works with Excel, Google Sheets</li>
-                    <li><strong>Simple:</strong> Easy to understand and edit</li>
-                    <li><strong>Backward Compatible:</strong> Old files still work</li>
-                    <li><strong>PDF Support:</strong> File paths and metadata included</li>
-                </ul>
-                
-                <h4>🔄 Import Features</h4>
-                <ul>
-                    <li><strong>All Formats:</strong> Automatic PDF restoration when possible</li>
-                    <li><strong>Validation:</strong> Data integrity checks and error handling</li>
-                    <li><strong>Migration:</strong> Convert between formats seamlessly</li>
-                    <li><strong>Large Files:</strong> Support for up to 1000 papers</li>
-                </ul>
-                
-                <div class="modal-actions">
-                    <button class="btn" onclick="this.closest('.modal').remove()">Got it!</button>
+            <div class="modal-content">
+                <div class="export-selection-toolbar">
+                    <button class="modal-btn modal-btn-secondary" data-action="select-all">Accept all</button>
+                    <button class="modal-btn modal-btn-secondary" data-action="select-none">Reject all</button>
+                    <span class="export-selection-count"></span>
+                </div>
+                <div class="export-selection-list">
+                    ${records.map((record, index) => `
+                        <div class="batch-preview-item" data-index="${index}">
+                            <div class="export-selection-item">
+                                <input type="checkbox" ${record.title ? 'checked' : ''} aria-label="Add this paper">
+                                <span class="batch-preview-summary">
+                                    <span class="batch-preview-title">${escapeHtml(record.title || 'Untitled Paper')}</span>
+                                    <span class="export-selection-meta">${meta(record)}</span>
+                                </span>
+                                <button class="modal-btn modal-btn-secondary" data-action="edit" data-index="${index}">Edit</button>
+                            </div>
+                            <div class="batch-preview-editor" hidden>
+                                <div class="modal-field">
+                                    <label>Item Type</label>
+                                    <select data-field="itemType">
+                                        ${itemTypes.map(([value, label]) => `<option value="${value}" ${record.itemType === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                ${BATCH_PREVIEW_FIELDS.map(([field, label, control]) => `
+                                    <div class="modal-field">
+                                        <label>${label}</label>
+                                        ${control === 'textarea'
+                                            ? `<textarea data-field="${field}">${escapeHtml(record[field] || '')}</textarea>`
+                                            : `<input type="text" data-field="${field}" value="${escapeHtml(record[field] || '')}">`}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `).join('')}
                 </div>
             </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="close">Cancel</button>
+                <button class="modal-btn modal-btn-primary" data-action="confirm">Add Accepted Papers</button>
+            </div>
         </div>
     `;
-    
+
     document.body.appendChild(modal);
-    modal.style.display = 'block';
-    
-    // Close modal handlers
-    modal.querySelector('.close-btn').onclick = () => modal.remove();
-    modal.onclick = (e) => {
-        if (e.target === modal) modal.remove();
+
+    const items = Array.from(modal.querySelectorAll('.batch-preview-item'));
+    const checkboxes = items.map(item => item.querySelector('input[type="checkbox"]'));
+    const countLabel = modal.querySelector('.export-selection-count');
+    const updateCount = () => {
+        countLabel.textContent = `${checkboxes.filter(box => box.checked).length} of ${checkboxes.length} accepted`;
     };
-}
+    updateCount();
 
-// Safe CSV line parsing to prevent ReDoS attacks
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    let i = 0;
-    
-    // Limit processing to prevent DoS
-    const maxLength = 10000;
-    if (line.length > maxLength) {
-        throw new Error('CSV line too long');
-    }
-    
-    while (i < line.length) {
-        const char = line[i];
-        
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                // Escaped quote
-                current += '"';
-                i += 2;
-            } else {
-                // Toggle quote state
-                inQuotes = !inQuotes;
-                i++;
+    modal.addEventListener('change', updateCount);
+
+    // Keep the summary line in step with edits
+    modal.addEventListener('input', (e) => {
+        const item = e.target.closest('.batch-preview-item');
+        if (!item) return;
+        const value = field => item.querySelector(`[data-field="${field}"]`).value.trim();
+        item.querySelector('.batch-preview-title').textContent = value('title') || 'Untitled Paper';
+        item.querySelector('.export-selection-meta').textContent = [value('authors'), value('year'), value('journal')].filter(v => v).join(' • ');
+    });
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            return;
+        }
+        const action = e.target.getAttribute('data-action');
+        if (action === 'close') {
+            modal.remove();
+        } else if (action === 'select-all' || action === 'select-none') {
+            checkboxes.forEach(box => { box.checked = action === 'select-all'; });
+            updateCount();
+        } else if (action === 'edit') {
+            const editor = items[parseInt(e.target.getAttribute('data-index'))].querySelector('.batch-preview-editor');
+            editor.hidden = !editor.hidden;
+            e.target.textContent = editor.hidden ? 'Edit' : 'Done';
+        } else if (action === 'confirm') {
+            const accepted = items.filter((item, index) => checkboxes[index].checked);
+            if (accepted.length === 0) {
+                alert('Accept at least one paper to add');
+                return;
             }
-        } else if (char === ',' && !inQuotes) {
-            // End of field
-            result.push(current);
-            current = '';
-            i++;
-        } else {
-            current += char;
-            i++;
+
+            accepted.forEach(item => {
+                const data = { ...records[parseInt(item.getAttribute('data-index'))] };
+                item.querySelectorAll('[data-field]').forEach(input => {
+                    data[input.getAttribute('data-field')] = input.value.trim();
+                });
+                // Same defaults as a single paper added from the preview
+                data.keyPoints = data.keyPoints || data.abstract;
+                data.notes = data.notes || data.relevance;
+
+                const paper = createImportedPaper(data);
+                paper.citation = formatAPA7Citation(paper);
+                papers.push(paper);
+            });
+            assignMissingCiteKeys(papers.slice(-accepted.length));
+
+            showSummary();
+            updateStats();
+            showSummary();
+            storage.save();
+
+            const extractedDataEl = document.getElementById('extractedData');
+            if (extractedDataEl) extractedDataEl.value = '';
+            modal.remove();
+            alert(`Added ${accepted.length} papers to your library`);
         }
-    }
-    
-    // Add the last field
-    result.push(current);
-    
-    return result;
+    });
+}
+
+// Records still waiting for the preview modal after a multi-record paste
+let previewQueue = [];
+// The parsed record shown in the preview modal, for the fields the form does not show
+let previewRecord = null;
+
+// Preview parsed records one after another
+function showPreviewQueue(records) {
+    previewQueue = records.slice(1);
+    showPreviewModal(records[0]);
 }
 
-// Smart input processing function
 async function addFromSmartInput() {
     const input = document.getElementById('extractedData').value.trim();
     if (!input) {
@@ -2417,37 +7639,43 @@ async function addFromSmartInput() {
         return;
     }
 
-    // Limit input length to prevent potential issues
-    if (input.length > 10000) {
-        alert('Input is too long. Please limit to 10,000 characters.');
+    if (input.length > 5 * 1024 * 1024) {
+        alert('Input is too large. Please import it as a file instead.');
         return;
     }
 
-    // Check if input is already valid JSON
-    try {
-        const paperInfo = JSON.parse(input);
-        
-        // Validate that it's an object with expected structure
-        if (typeof paperInfo !== 'object' || paperInfo === null || Array.isArray(paperInfo)) {
-            throw new Error('Invalid JSON structure');
+    // Page source, BibTeX, RIS, MEDLINE, CSL-JSON and identifier lists are parsed here, no AI round trip needed
+    const structured = parseStructuredSmartInput(input);
+    if (structured) {
+        if (structured.records.length > 0) {
+            showPreviewQueue(structured.records);
+        } else if (structured.format === 'HTML') {
+            alert('No citation metadata (Highwire, Dublin Core, PRISM, Open Graph or JSON-LD) was found in the pasted HTML.');
+        } else {
+            alert(`No papers could be read from the pasted ${structured.format}.${structured.warnings ? `\n\n${structured.warnings}` : ''}`);
         }
-        
-        // Validate required JSON structure for paper info
-        const validKeys = ['itemType', 'title', 'authors', 'year', 'keywords', 'journal', 'volume', 'issue', 'pages', 'doi', 'issn', 'chapter', 'abstract', 'relevance', 'language', 'citation', 'pdf'];
-        const hasValidStructure = Object.keys(paperInfo).some(key => validKeys.includes(key));
-        
-        if (!hasValidStructure) {
-            throw new Error('JSON does not contain expected paper fields');
+        return;
+    }
+
+    // JSON pasted back from an AI assistant, tolerating fences, surrounding text and several papers
+    const aiPapers = extractAIResponsePapers(input);
+    if (aiPapers) {
+        if (aiPapers.length === 1) {
+            showPreviewModal(aiPapers[0]);
+        } else {
+            showBatchPreviewModal(aiPapers);
         }
-        
-        // Valid JSON - show preview modal
-        showPreviewModal(paperInfo);
         return;
-    } catch (e) {
-        // Not valid JSON or not paper structure - show AI prompt instead
-        showAIPrompt(input);
+    }
+
+    // Limit input length to prevent potential issues
+    if (input.length > 10000) {
+        alert('Input is too long. Please limit to 10,000 characters.');
         return;
     }
+
+    // Not paper JSON - show AI prompt instead
+    showAIPrompt(input);
 }
 
 // Show AI prompt for user to copy
@@ -2489,6 +7717,8 @@ Please analyze this and return the information in this exact JSON format:
   "pdf": "PDF file path or link"
 }
 
+If the input describes several papers, return a JSON array with one such object per paper.
+
 Please ensure the JSON is properly formatted and fill in as much information as possible. If you cannot find certain fields, use empty strings but keep the JSON structure intact.`;
 
     // Create modal using safer DOM methods instead of innerHTML
@@ -2634,6 +7864,8 @@ function showAICopyFeedback() {
 
 // Show preview modal with extracted information
 function showPreviewModal(paperInfo) {
+    previewRecord = paperInfo;
+
     // Validate and sanitize paperInfo using global escapeHtml function
     
     const sanitizedPaper = {
@@ -2661,7 +7893,7 @@ function showPreviewModal(paperInfo) {
     modal.innerHTML = `
         <div class="modal">
             <div class="modal-header">
-                <h3 class="modal-title">Paper Information Found</h3>
+                <h3 class="modal-title">Paper Information Found${previewQueue.length > 0 ? ` (${previewQueue.length} more to review)` : ''}</h3>
                 <button class="modal-close" id="preview-close-btn">&times;</button>
             </div>
             <div class="modal-content">
@@ -2742,7 +7974,8 @@ function showPreviewModal(paperInfo) {
                 </div>
             </div>
             <div class="modal-actions">
-                <button class="modal-btn modal-btn-secondary" id="preview-cancel-btn">Cancel</button>
+                ${previewQueue.length > 0 ? '<button class="modal-btn modal-btn-secondary" id="preview-skip-all-btn">Skip All</button>' : ''}
+                <button class="modal-btn modal-btn-secondary" id="preview-cancel-btn">${previewQueue.length > 0 ? 'Skip' : 'Cancel'}</button>
                 <button class="modal-btn modal-btn-primary" id="preview-add-btn">Add to Library</button>
             </div>
         </div>
@@ -2754,6 +7987,13 @@ function showPreviewModal(paperInfo) {
     document.getElementById('preview-close-btn').addEventListener('click', closePreviewModal);
     document.getElementById('preview-cancel-btn').addEventListener('click', closePreviewModal);
     document.getElementById('preview-add-btn').addEventListener('click', addPaperFromPreview);
+    const skipAllBtn = document.getElementById('preview-skip-all-btn');
+    if (skipAllBtn) {
+        skipAllBtn.addEventListener('click', () => {
+            previewQueue = [];
+            closePreviewModal();
+        });
+    }
     
     // Focus first input with safety check
     setTimeout(() => {
@@ -2768,6 +8008,12 @@ function closePreviewModal() {
     if (modal) {
         document.body.removeChild(modal);
     }
+    previewRecord = null;
+
+    // Move on to the next record of a multi-record paste
+    if (previewQueue.length > 0) {
+        showPreviewModal(previewQueue.shift());
+    }
 }
 
 // Add paper from preview modal
@@ -2794,10 +8040,12 @@ function addPaperFromPreview() {
         return;
     }
     
+    const itemTypeEl = document.getElementById('preview-itemType');
+    
     const newPaper = {
         id: nextId++,
         // New JSON structure fields (in exact order)
-        itemType: "article", // Item type (e.g., article, inproceedings, book, techreport, etc.)
+        itemType: itemTypeEl ? itemTypeEl.value || 'article' : 'article', // Item type (e.g., article, inproceedings, book, techreport, etc.)
         title: titleEl.value || '', // Full paper title
         authors: authorsEl.value || '', // Full author names separated by commas
         year: yearEl.value || '', // Publication year
@@ -2829,6 +8077,17 @@ function addPaperFromPreview() {
         pdfBlobUrl: null
     };
     
+    // Fields the form does not show, carried over from a parsed BibTeX/RIS/MEDLINE/CSL-JSON record
+    if (previewRecord) {
+        newPaper.pmid = String(previewRecord.pmid || '').replace(/\D/g, '').substring(0, 20);
+        newPaper.pmcid = String(previewRecord.pmcid || '').substring(0, 20);
+        newPaper.citationCount = /^\d+$/.test(String(previewRecord.citationCount || '')) ? String(previewRecord.citationCount) : '';
+        if (previewRecord.url) newPaper.url = String(previewRecord.url).substring(0, 500);
+        if (previewRecord.notes && !newPaper.notes) newPaper.notes = String(previewRecord.notes).substring(0, 1000);
+        newPaper.citeKey = importedCiteKey(previewRecord.citeKey);
+        newPaper.citeKeyPinned = Boolean(newPaper.citeKey) && previewRecord.citeKeyPinned === true;
+    }
+    
     // Auto-generate citation
     const citationData = formatAPA7CitationHTML(newPaper);
     if (citationData.text) {
@@ -2836,6 +8095,7 @@ function addPaperFromPreview() {
     }
     
     papers.push(newPaper);
+    assignMissingCiteKeys([newPaper]);
     showSummary();
     updateStats();
     showSummary();
@@ -2843,7 +8103,9 @@ function addPaperFromPreview() {
     // Clear input and close modal
     const extractedDataEl = document.getElementById('extractedData');
     if (extractedDataEl) extractedDataEl.value = '';
+    const reviewingMore = previewQueue.length > 0;
     closePreviewModal();
+    if (reviewingMore) return;
     
     alert('Paper added successfully to your library!');
 }
@@ -2993,6 +8255,13 @@ const storage = {
                 language: String(p.language || 'en').slice(0, 10), // Publication language
                 citation: String(p.citation || '').slice(0, 1000), // Formatted citation
                 pdf: String(p.pdf || p.pdfPath || '').slice(0, 500), // PDF file path or link
+                pmid: String(p.pmid || '').slice(0, 20), // PubMed ID
+                pmcid: String(p.pmcid || '').slice(0, 20), // PubMed Central ID
+                citationCount: /^\d+$/.test(String(p.citationCount || '')) ? String(p.citationCount) : '', // Times cited
+                citeKey: sanitizeCiteKey(p.citeKey), // Citation key
+                citeKeyPinned: Boolean(p.citeKey && p.citeKeyPinned), // Key kept when keys are regenerated
+                readBy: normalizeReadByDate(p.readBy), // Planned read-by date
+                readingBlocks: normalizeReadingBlocks(p.readingBlocks), // Planned reading sessions
                 // Legacy fields for backward compatibility
                 url: String(p.url || '').slice(0, 500),
                 pdfPath: String(p.pdfPath || ''),
@@ -3005,6 +8274,7 @@ const storage = {
             
             // Ensure nextId is higher than any existing id
             nextId = Math.max(data.nextId, ...papers.map(p => p.id) + 1);
+            assignMissingCiteKeys();
             return true;
 
         } catch (error) {
@@ -3165,7 +8435,8 @@ function cleanupInvalidBlobUrls() {
 }
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', async function() {
+// script.js is also loaded by import-worker.js for its parsers; there is no page to set up there
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', async function() {
     console.log('DOM loaded, initializing app');
     
     // Initialize IndexedDB and request persistent storage
@@ -3220,6 +8491,17 @@ function initializeEventListeners() {
     document.getElementById('exportBtn').addEventListener('click', exportToCSV);
     document.getElementById('exportJSONBtn').addEventListener('click', exportToJSON);
     document.getElementById('exportBibTeXBtn').addEventListener('click', exportToBibTeX);
+    document.getElementById('exportRISBtn').addEventListener('click', exportToRIS);
+    document.getElementById('exportCSLJSONBtn').addEventListener('click', exportToCSLJSON);
+    document.getElementById('exportWordXMLBtn').addEventListener('click', exportToWordXML);
+    document.getElementById('exportObsidianBtn').addEventListener('click', exportToObsidian);
+    document.getElementById('exportAnnotatedBtn').addEventListener('click', exportAnnotatedBibliography);
+    document.getElementById('exportAnkiBtn').addEventListener('click', exportToAnki);
+    document.getElementById('exportReadingPlanBtn').addEventListener('click', exportReadingPlan);
+    document.getElementById('exportSiteBtn').addEventListener('click', exportStaticSite);
+    document.getElementById('exportBackupBtn').addEventListener('click', exportFullBackup);
+    document.getElementById('exportXLSXBtn').addEventListener('click', () => exportToSpreadsheet('xlsx'));
+    document.getElementById('exportODSBtn').addEventListener('click', () => exportToSpreadsheet('ods'));
     
     // Import buttons
     document.getElementById('importBtn').addEventListener('click', () => {
@@ -3231,8 +8513,30 @@ function initializeEventListeners() {
     document.getElementById('importBibTeXBtn').addEventListener('click', () => {
         document.getElementById('bibtexImport').click();
     });
+    document.getElementById('importRISBtn').addEventListener('click', () => {
+        document.getElementById('risImport').click();
+    });
+    document.getElementById('importCSLJSONBtn').addEventListener('click', () => {
+        document.getElementById('cslJsonImport').click();
+    });
+    document.getElementById('importEndNoteBtn').addEventListener('click', () => {
+        document.getElementById('endNoteImport').click();
+    });
+    document.getElementById('importMEDLINEBtn').addEventListener('click', () => {
+        document.getElementById('medlineImport').click();
+    });
+    document.getElementById('importDatabaseBtn').addEventListener('click', () => {
+        document.getElementById('databaseImport').click();
+    });
+    document.getElementById('importHTMLBtn').addEventListener('click', () => {
+        document.getElementById('htmlImport').click();
+    });
+    document.getElementById('restoreBackupBtn').addEventListener('click', () => {
+        document.getElementById('backupImport').click();
+    });
     
     // Utility buttons
+    document.getElementById('findDuplicatesBtn').addEventListener('click', showDuplicateFinder);
     document.getElementById('clearDataBtn').addEventListener('click', clearData);
     document.getElementById('csvHelpBtn').addEventListener('click', showCSVImportInstructions);
     
@@ -3240,10 +8544,19 @@ function initializeEventListeners() {
     document.getElementById('csvImport').addEventListener('change', importCSV);
     document.getElementById('jsonImport').addEventListener('change', importJSON);
     document.getElementById('bibtexImport').addEventListener('change', importBibTeX);
+    document.getElementById('risImport').addEventListener('change', importRIS);
+    document.getElementById('cslJsonImport').addEventListener('change', importCSLJSON);
+    document.getElementById('endNoteImport').addEventListener('change', importEndNoteXML);
+    document.getElementById('medlineImport').addEventListener('change', importMEDLINE);
+    document.getElementById('databaseImport').addEventListener('change', importDatabaseExport);
+    document.getElementById('htmlImport').addEventListener('change', importHTMLPage);
+    document.getElementById('backupImport').addEventListener('change', restoreFullBackup);
     
     // Enter key support for smart input
     document.getElementById('extractedData').addEventListener('keypress', function(e) {
-        if (e.key === 'Enter') {
+        // Shift+Enter adds a line, for pasting multi-line BibTeX/RIS or identifier lists
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
             addFromSmartInput();
         }
     });
@@ -3610,6 +8923,42 @@ function showEditPaperModal(paperId) {
                         </div>
                     </div>
 
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="edit-pmid">PMID:</label>
+                            <input type="text" id="edit-pmid" name="pmid" value="${escapeHtml(paper.pmid || '')}" placeholder="PubMed ID">
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-pmcid">PMCID:</label>
+                            <input type="text" id="edit-pmcid" name="pmcid" value="${escapeHtml(paper.pmcid || '')}" placeholder="PMC1234567">
+                        </div>
+                    </div>
+
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="edit-citeKey">Citation Key:</label>
+                            <input type="text" id="edit-citeKey" value="${escapeHtml(paper.citeKey || '')}" placeholder="${escapeHtml(formatCiteKey(paper) || 'Generated on export')}" spellcheck="false">
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-citeKeyPinned">Pinned:</label>
+                            <label class="settings-option">
+                                <input type="checkbox" id="edit-citeKeyPinned" ${paper.citeKeyPinned ? 'checked' : ''}>
+                                <span>Keep this key when keys are regenerated</span>
+                            </label>
+                        </div>
+                    </div>
+
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="edit-readBy">Read By:</label>
+                            <input type="date" id="edit-readBy" name="readBy" value="${escapeHtml(paper.readBy || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-readingBlocks">Reading Blocks:</label>
+                            <textarea id="edit-readingBlocks" name="readingBlocks" rows="2" placeholder="2025-03-10 09:00 90 (date, start time, minutes; one per line; keep the #id when moving a session)">${escapeHtml(paper.readingBlocks || '')}</textarea>
+                        </div>
+                    </div>
+
                     <div class="form-actions">
                         <button type="submit" class="btn btn-primary">💾 Save Changes</button>
                         <button type="button" class="btn btn-secondary" id="editModalCancelBtn">Cancel</button>
@@ -3636,10 +8985,32 @@ function showEditPaperModal(paperId) {
         if (e.target === modal) closeModal();
     });
 
+    // Typing a key pins it
+    const citeKeyInput = document.getElementById('edit-citeKey');
+    const citeKeyPinnedInput = document.getElementById('edit-citeKeyPinned');
+    citeKeyInput.addEventListener('input', () => {
+        citeKeyPinnedInput.checked = Boolean(citeKeyInput.value.trim());
+    });
+
     form.addEventListener('submit', (e) => {
         e.preventDefault();
         const formData = new FormData(form);
 
+        // The citation key is not a plain field: it must stay unique across the library
+        const citeKeyError = setPaperCiteKey(paper, citeKeyInput.value, citeKeyPinnedInput.checked);
+        if (citeKeyError) {
+            alert(citeKeyError);
+            citeKeyInput.focus();
+            return;
+        }
+
+        const blockErrors = parseReadingBlocks(formData.get('readingBlocks')).errors;
+        if (blockErrors.length > 0) {
+            alert(`Reading blocks need one "YYYY-MM-DD HH:MM minutes" entry per line:\n${blockErrors.join('\n')}`);
+            document.getElementById('edit-readingBlocks').focus();
+            return;
+        }
+
         // Update paper with all form values
         for (const [field, value] of formData.entries()) {
             updatePaper(paperId, field, value);
@@ -3682,6 +9053,37 @@ function showSettingsModal() {
                             </div>
                 </div>
             </div>
+            <div class="settings-section">
+                <h4 class="settings-section-title">BibTeX Export</h4>
+                <label class="settings-option">
+                    <span>Output format</span>
+                    <select id="bibtexFormatSelect">
+                        <option value="bibtex" ${bibtexExportFormat === 'bibtex' ? 'selected' : ''}>BibTeX (bibtex, natbib)</option>
+                        <option value="biblatex" ${bibtexExportFormat === 'biblatex' ? 'selected' : ''}>BibLaTeX (biber)</option>
+                    </select>
+                </label>
+                <label class="settings-option">
+                    <input type="checkbox" id="bibtexUnicodeCheckbox" ${bibtexUnicodeOutput ? 'checked' : ''}>
+                    <span>Write accented characters as UTF-8 (for biber/BibLaTeX)</span>
+                </label>
+                <div class="storage-note">
+                    <small>When unchecked, characters such as ü and é are written as LaTeX commands ({\"u}, {\'e}) so classic BibTeX can read them.</small>
+                </div>
+            </div>
+            <div class="settings-section">
+                <h4 class="settings-section-title">Citation Keys</h4>
+                <label class="settings-option">
+                    <span>Key pattern</span>
+                    <input type="text" id="citeKeyPatternInput" class="settings-text-input" value="${escapeHtml(citeKeyPattern)}" spellcheck="false">
+                </label>
+                <div class="storage-note">
+                    <small>Example: <code id="citeKeyPreview"></code><br>
+                    Fields: [auth], [authors:N], [year], [title], [shorttitle:N], [veryshorttitle]; add :lower or :upper to change case. Duplicates get a, b, c suffixes. Existing keys stay the same until you regenerate them; pinned keys are never changed.</small>
+                </div>
+                <div class="storage-actions">
+                    <button class="btn btn-secondary" id="regenerateCiteKeysBtn">🔑 Regenerate Unpinned Keys</button>
+                </div>
+            </div>
             <div class="settings-section">
                 <h4 class="settings-section-title">Page Style</h4>
                 <div class="theme-option" data-theme="default">
@@ -3722,6 +9124,41 @@ function showSettingsModal() {
     document.getElementById('settingsCloseBtn').addEventListener('click', closeSettingsModal);
     document.getElementById('selectFolderBtn').addEventListener('click', handleSelectFolder);
     document.getElementById('clearFolderBtn').addEventListener('click', handleClearFolder);
+    document.getElementById('bibtexFormatSelect').addEventListener('change', function() {
+        bibtexExportFormat = this.value;
+        saveSettings();
+    });
+    document.getElementById('bibtexUnicodeCheckbox').addEventListener('change', function() {
+        bibtexUnicodeOutput = this.checked;
+        saveSettings();
+    });
+
+    const patternInput = document.getElementById('citeKeyPatternInput');
+    const updateCiteKeyPreview = () => {
+        const sample = papers.find(p => p.title && p.authors) ||
+            { id: 0, title: 'Deep Learning for Protein Structure Prediction', authors: 'Jane Smith, John Doe', year: '2020' };
+        document.getElementById('citeKeyPreview').textContent = formatCiteKey(sample, patternInput.value) || '(empty)';
+    };
+    updateCiteKeyPreview();
+    patternInput.addEventListener('input', updateCiteKeyPreview);
+    patternInput.addEventListener('change', function() {
+        const pattern = this.value.trim();
+        const unknown = findUnknownCiteKeyFields(pattern);
+        if (!pattern || unknown.length > 0) {
+            alert(pattern ? `Unknown key pattern field(s): ${unknown.join(', ')}` : 'The key pattern cannot be empty');
+            this.value = citeKeyPattern;
+            updateCiteKeyPreview();
+            return;
+        }
+        citeKeyPattern = pattern.substring(0, 200);
+        saveSettings();
+    });
+    document.getElementById('regenerateCiteKeysBtn').addEventListener('click', function() {
+        if (confirm('Regenerate all unpinned citation keys from the current pattern? Documents that cite the old keys will need updating.')) {
+            const count = regenerateCiteKeys();
+            alert(`Regenerated ${count} citation keys`);
+        }
+    });
     
     modal.addEventListener('click', function(e) {
         if (e.target === modal) {
@@ -3894,7 +9331,7 @@ function handlePaperOpenAction(paperId, action) {
     
     if (action === 'online') {
         // Open online link
-        const paperUrl = validateUrl(paper.doi);
+        const paperUrl = getPaperUrl(paper);
         if (paperUrl) {
             try {
                 const urlObj = new URL(paperUrl);
@@ -3929,7 +9366,7 @@ function cleanupBlobUrls() {
 }
 
 // Save data before tab/window closes
-window.addEventListener('beforeunload', () => {
+if (typeof window !== 'undefined') window.addEventListener('beforeunload', () => {
     if (papers.length > 0) {
         // Force immediate save
         storage.save();
@@ -3938,7 +9375,7 @@ window.addEventListener('beforeunload', () => {
     cleanupBlobUrls();
 });
 
-window.addEventListener('unload', () => {
+if (typeof window !== 'undefined') window.addEventListener('unload', () => {
     if (batchUpdateTimeout) {
         cancelAnimationFrame(batchUpdateTimeout);
     }